@@ -7,6 +7,7 @@ import android.webkit.WebView
 import com.google.gson.Gson
 import com.google.gson.JsonObject
 import com.propertymap.android.data.PropertyBoundaryData
+import com.propertymap.android.data.TitleUpdate
 import com.propertymap.android.location.LocationManager
 
 /**
@@ -22,6 +23,7 @@ class PropertyBridge(
     private val gson = Gson()
     private var webView: WebView? = null
     private var arCallback: ((PropertyBoundaryData) -> Unit)? = null
+    private var titlesCallback: ((TitleUpdate) -> Unit)? = null
     
     companion object {
         private const val TAG = "PropertyBridge"
@@ -37,6 +39,10 @@ class PropertyBridge(
         this.arCallback = callback
     }
     
+    fun setTitlesCallback(callback: (TitleUpdate) -> Unit) {
+        this.titlesCallback = callback
+    }
+    
     private fun injectApiKeys() {
         // Get API keys from secure storage or environment
         val linzKey = getSecureApiKey("LINZ_API_KEY")
@@ -113,6 +119,17 @@ class PropertyBridge(
         }
     }
     
+    @JavascriptInterface
+    fun receivePropertyTitles(jsonData: String) {
+        try {
+            val update = gson.fromJson(jsonData, TitleUpdate::class.java)
+            Log.d(TAG, "Title records received: ${update.titles.size} for ${update.propertyId}")
+            titlesCallback?.invoke(update)
+        } catch (e: Exception) {
+            Log.e(TAG, "Error parsing title records: ${e.message}")
+        }
+    }
+    
     @JavascriptInterface
     fun openARView() {
         Log.d(TAG, "AR view requested from web")
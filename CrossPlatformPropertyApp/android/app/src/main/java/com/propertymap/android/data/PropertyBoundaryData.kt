@@ -10,10 +10,22 @@ data class PropertyBoundaryData(
     val version: String,
     val timestamp: String,
     val coordinates: List<Coordinate>,
+    // Schema 2.0 - absent in 1.0 payloads
+    @SerializedName("geometryType")
+    val geometryType: String? = null,
+    val parts: List<BoundaryPart>? = null,
     val property: PropertyInfo,
     val metadata: Metadata
 )
 
+/**
+ * One part of a (Multi)Polygon parcel - outer ring plus holes cut out of it
+ */
+data class BoundaryPart(
+    val outer: List<Coordinate>,
+    val holes: List<List<Coordinate>> = emptyList()
+)
+
 data class Coordinate(
     val latitude: Double,
     val longitude: Double
@@ -28,7 +40,37 @@ data class PropertyInfo(
     val landDistrict: String,
     val region: String,
     @SerializedName("territorialAuthority")
-    val territorialAuthority: String
+    val territorialAuthority: String,
+    val titles: List<TitleRecord>? = null
+)
+
+/**
+ * Record of Title from the LINZ titles layer; only titleNo is known when the lookup fails
+ */
+data class TitleRecord(
+    @SerializedName("titleNo")
+    val titleNo: String,
+    val status: String? = null,
+    val type: String? = null,
+    @SerializedName("estateDescription")
+    val estateDescription: String? = null,
+    @SerializedName("issueDate")
+    val issueDate: String? = null,
+    @SerializedName("landDistrict")
+    val landDistrict: String? = null,
+    @SerializedName("guaranteeStatus")
+    val guaranteeStatus: String? = null,
+    @SerializedName("numberOwners")
+    val numberOwners: Int? = null
+)
+
+/**
+ * Looked-up Records of Title sent after the boundary payload for the parcel with propertyId
+ */
+data class TitleUpdate(
+    @SerializedName("propertyId")
+    val propertyId: String,
+    val titles: List<TitleRecord>
 )
 
 data class Metadata(
@@ -74,6 +74,11 @@ class ARFragment : Fragment() {
                 arViewModel.setPropertyData(propertyData)
             }
         }
+        (activity as? MainActivity)?.getPropertyBridge()?.setTitlesCallback { update ->
+            requireActivity().runOnUiThread {
+                arViewModel.updateTitles(update)
+            }
+        }
     }
     
     private fun displayPropertyBoundaries(propertyData: PropertyBoundaryData) {
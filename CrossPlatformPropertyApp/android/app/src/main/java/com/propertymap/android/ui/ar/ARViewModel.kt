@@ -4,6 +4,7 @@ import androidx.lifecycle.LiveData
 import androidx.lifecycle.MutableLiveData
 import androidx.lifecycle.ViewModel
 import com.propertymap.android.data.PropertyBoundaryData
+import com.propertymap.android.data.TitleUpdate
 
 /**
  * ViewModel for AR fragment to manage property data and status
@@ -26,6 +27,13 @@ class ARViewModel : ViewModel() {
         _propertyData.value = data
     }
     
+    // Titles arrive after the boundary - ignored if another parcel has been sent since
+    fun updateTitles(update: TitleUpdate) {
+        val current = _propertyData.value ?: return
+        if (current.property.id != update.propertyId) return
+        _propertyData.value = current.copy(property = current.property.copy(titles = update.titles))
+    }
+    
     fun clearPropertyData() {
         _propertyData.value = null
     }
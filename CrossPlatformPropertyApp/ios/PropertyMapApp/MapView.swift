@@ -54,6 +54,7 @@ struct MapView: UIViewRepresentable {
         controller.add(context.coordinator, name: "iosLog")
         controller.add(context.coordinator, name: "requestLocation")
         controller.add(context.coordinator, name: "propertyData")
+        controller.add(context.coordinator, name: "propertyTitles")
         controller.add(context.coordinator, name: "openAR") 
         
         config.userContentController = controller
@@ -100,6 +101,8 @@ struct MapView: UIViewRepresentable {
                 requestLocation()
             case "propertyData":
                 handlePropertyData(message.body)
+            case "propertyTitles":
+                handlePropertyTitles(message.body)
             case "openAR":
                 handleOpenAR()
             default:
@@ -161,6 +164,17 @@ struct MapView: UIViewRepresentable {
             }
         }
         
+        // Records of Title follow the boundary once the web's second LINZ query returns
+        private func handlePropertyTitles(_ data: Any) {
+            guard let update = data as? [String: Any],
+                  let titles = update["titles"] as? [[String: Any]] else {
+                print("❌ Invalid title records received")
+                return
+            }
+            let titleNumbers = titles.compactMap { $0["titleNo"] as? String }
+            print("✅ Title records received for \((update["propertyId"] as? String) ?? ""): \(titleNumbers.joined(separator: ", "))")
+        }
+        
         private func handleOpenAR() {
             print("📱 Web requested to open AR view")
             
@@ -92,6 +92,27 @@ class PropertyBridge {
         }
     }
 
+    // Records of Title for the parcel already sent - the native side matches them on propertyId
+    sendTitlesToAR(propertyId, titles) {
+        const titlesPayload = { propertyId, titles };
+        this.log(`Sending ${titles.length} title record(s) to AR`);
+
+        switch (this.platform) {
+            case 'ios':
+                if (window.webkit.messageHandlers.propertyTitles) {
+                    window.webkit.messageHandlers.propertyTitles.postMessage(titlesPayload);
+                }
+                break;
+            case 'android':
+                if (window.Android && window.Android.receivePropertyTitles) {
+                    window.Android.receivePropertyTitles(JSON.stringify(titlesPayload));
+                }
+                break;
+            default:
+                this.log('AR data transfer not supported on web platform');
+        }
+    }
+
     // Open native AR view
     openARView() {
         this.log('Opening AR view on native platform');
@@ -113,34 +134,31 @@ class PropertyBridge {
         }
     }
 
-    // Create standardized property payload for AR viewers
+    // Create standardized property payload for AR viewers (boundary-schema.json v2.0)
     createPropertyPayload(boundaryData) {
-        const { geometry, property } = boundaryData;
+        const { geometry, property, titles } = boundaryData;
         
-        // Extract coordinates from property boundary geometry
-        const coordinates = [];
-        if (geometry && geometry.coordinates && geometry.coordinates[0]) {
-            for (const coord of geometry.coordinates[0]) {
-                coordinates.push({
-                    latitude: coord[1],
-                    longitude: coord[0]
-                });
-            }
-        }
+        // Every part with its holes, largest first; "coordinates" stays the largest outer ring for v1 readers
+        const parts = this.extractParts(geometry);
+        const coordinates = parts.length ? parts[0].outer : [];
 
         // Standardized property data schema
         return {
-            version: "1.0",
+            version: "2.0",
             timestamp: new Date().toISOString(),
             coordinates: coordinates,
+            geometryType: geometry && geometry.type === 'MultiPolygon' ? 'MultiPolygon' : 'Polygon',
+            parts: parts.map(part => ({ outer: part.outer, holes: part.holes })),
             property: {
                 id: property.id || '',
                 appellation: property.appellation || '',
                 address: property.address || '',
-                area: property.calc_area || 0,
+                area: this.calculateGeodesicArea(geometry) || property.calc_area || 0,
                 landDistrict: property.land_district || '',
                 region: property.region || '',
-                territorialAuthority: property.territorial_authority || ''
+                territorialAuthority: property.territorial_authority || '',
+                // Records of Title from the titles layer lookup, else just the parcel's listed numbers
+                titles: titles || parseTitleNumbers(property.titles).map(titleNo => toTitleRecord({ title_no: titleNo }))
             },
             metadata: {
                 source: 'LINZ',
@@ -150,6 +168,71 @@ class PropertyBridge {
         };
     }
 
+    // Split a Polygon/MultiPolygon into parts of {latitude, longitude} rings, largest part first
+    extractParts(geometry) {
+        if (!geometry || !geometry.coordinates) return [];
+
+        const polygons = geometry.type === 'Polygon' ? [geometry.coordinates]
+            : geometry.type === 'MultiPolygon' ? geometry.coordinates
+            : [];
+        const toPoints = ring => ring.map(coord => ({ latitude: coord[1], longitude: coord[0] }));
+
+        return polygons
+            .filter(rings => rings[0] && rings[0].length >= 3)
+            .map(rings => ({
+                outer: toPoints(rings[0]),
+                holes: rings.slice(1).map(toPoints),
+                area: this.calculateRingArea(rings[0])
+            }))
+            .sort((a, b) => b.area - a.area);
+    }
+
+    // WGS84 ellipsoidal area (m²) of a Polygon/MultiPolygon, holes subtracted
+    // Same equal-area method as CoordinateProcessor.calculateGeodesicArea (<0.001% error under 1 km)
+    calculateGeodesicArea(geometry) {
+        if (!geometry || !geometry.coordinates) return 0;
+
+        const polygons = geometry.type === 'Polygon' ? [geometry.coordinates]
+            : geometry.type === 'MultiPolygon' ? geometry.coordinates
+            : [];
+
+        return polygons.reduce((total, rings) => {
+            if (!rings.length) return total;
+            const holes = rings.slice(1).reduce((sum, ring) => sum + this.calculateRingArea(ring), 0);
+            return total + Math.max(0, this.calculateRingArea(rings[0]) - holes);
+        }, 0);
+    }
+
+    calculateRingArea(ring) {
+        if (!ring || ring.length < 3) return 0;
+
+        const a = 6378137.0;
+        const e2 = 0.00669437999014;
+        const e = Math.sqrt(e2);
+        const toRad = Math.PI / 180;
+        const q = lat => {
+            const sinLat = Math.sin(lat * toRad);
+            return (1 - e2) * (sinLat / (1 - e2 * sinLat * sinLat) -
+                (1 / (2 * e)) * Math.log((1 - e * sinLat) / (1 + e * sinLat)));
+        };
+
+        const lon0 = ring[0][0];
+        const y0 = q(ring[0][1]);
+        const points = ring.map(([lon, lat]) => {
+            let dLon = lon - lon0;
+            if (dLon > 180) dLon -= 360;
+            if (dLon < -180) dLon += 360;
+            return [a * dLon * toRad, a * (q(lat) - y0) / 2];
+        });
+
+        let area = 0;
+        for (let i = 0; i < points.length; i++) {
+            const j = (i + 1) % points.length;
+            area += points[i][0] * points[j][1] - points[j][0] * points[i][1];
+        }
+        return Math.abs(area) / 2;
+    }
+
     // Handle location updates from native platform
     handleLocationUpdate(latitude, longitude) {
         this.log(`Received location: ${latitude}, ${longitude}`);
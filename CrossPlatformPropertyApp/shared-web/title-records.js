@@ -0,0 +1,26 @@
+/**
+ * LINZ Records of Title helpers
+ * Shared by the cross-platform map, its bridge payload and PropertyView's CoordinateProcessor
+ * (copied into each app's web folder like bridge-api.js - keep the copies identical)
+ */
+
+// Title numbers from a LINZ parcel `titles` attribute ("WN45A/123, 789012") or array
+function parseTitleNumbers(titles) {
+    if (!titles) return [];
+    const list = Array.isArray(titles) ? titles : String(titles).split(/[,;]/);
+    return list.map(t => String(t).trim()).filter(Boolean);
+}
+
+// LINZ NZ Property Titles attributes -> payload title record (boundary-schema.json "title")
+function toTitleRecord(props) {
+    return {
+        titleNo: props.title_no,
+        status: props.status ?? null,
+        type: props.type ?? null,                         // estate type, e.g. Freehold, Leasehold, Unit Title
+        estateDescription: props.estate_description ?? null,
+        issueDate: props.issue_date ?? null,
+        landDistrict: props.land_district ?? null,
+        guaranteeStatus: props.guarantee_status ?? null,
+        numberOwners: props.number_owners ?? null
+    };
+}
@@ -438,6 +438,15 @@ struct ARSettingsView: View {
                             Spacer()
                             Text("\(appState.neighborProperties.count)")
                         }
+                        
+                        ForEach(appState.titles(for: property)) { title in
+                            HStack {
+                                Text("Title \(title.titleNo)")
+                                Spacer()
+                                Text([title.type, title.status].compactMap { $0 }.joined(separator: " · "))
+                                    .foregroundColor(.secondary)
+                            }
+                        }
                     } else {
                         Text("No property data loaded")
                             .foregroundColor(.secondary)
@@ -36,9 +36,13 @@ class AppState: ObservableObject {
     @Published var alignmentPoints: [CLLocationCoordinate2D] = []
     @Published var positioningStatus: PositioningStatus = .unknown
     
+    // Query of the last opened share link (propertyview://map?lat=…&parcels=…), handed to the web map
+    @Published var deepLinkQuery: [URLQueryItem]?
+    
     // Enhanced property data
     @Published var subjectProperty: PropertyData?
     @Published var neighborProperties: [PropertyData] = []
+    @Published var subjectTitles: TitleUpdate?
     
     enum PositioningStatus {
         case unknown
@@ -159,23 +163,43 @@ class AppState: ObservableObject {
     }
 
     func bundledWebURL(with origin: CLLocation?) -> URL {
+        guard let o = origin else { return bundledWebURL(queryItems: nil) }
+        return bundledWebURL(queryItems: [
+            .init(name: "lat", value: String(o.coordinate.latitude)),
+            .init(name: "lng", value: String(o.coordinate.longitude)),
+            .init(name: "z", value: "17")
+        ])
+    }
+    
+    func bundledWebURL(queryItems: [URLQueryItem]?) -> URL {
         // Enhanced URL construction for PropertyView-Enhanced
         let url: URL = Bundle.main.url(forResource: "index", withExtension: "html", subdirectory: "Web")
             ?? Bundle.main.url(forResource: "index", withExtension: "html")
             ?? { preconditionFailure("index.html not found in PropertyView-Enhanced bundle") }()
 
-        if let o = origin {
+        if let items = queryItems, !items.isEmpty {
             var c = URLComponents(url: url, resolvingAgainstBaseURL: false)!
-            c.queryItems = [
-                .init(name: "lat", value: String(o.coordinate.latitude)),
-                .init(name: "lng", value: String(o.coordinate.longitude)),
-                .init(name: "z", value: "17")
-            ]
+            c.queryItems = items
             return c.url!
         }
         return url
     }
     
+    // Share links - propertyview://map?… (the app has no associated domain, so https links stay in the browser)
+    @discardableResult
+    func handleDeepLink(_ url: URL) -> Bool {
+        guard url.scheme == "propertyview",
+              let items = URLComponents(url: url, resolvingAgainstBaseURL: false)?.queryItems,
+              items.contains(where: { $0.name == "lat" }),
+              items.contains(where: { $0.name == "lng" }) else {
+            return false
+        }
+        DispatchQueue.main.async {
+            self.deepLinkQuery = items
+        }
+        return true
+    }
+    
     // Enhanced coordinate management
     func updateCoordinates(_ coordinates: ARCoordinateData) {
         DispatchQueue.main.async {
@@ -185,6 +209,18 @@ class AppState: ObservableObject {
         }
     }
     
+    // Records of Title arrive after the parcels - the map looks them up once the subject is drawn
+    func updateTitles(_ update: TitleUpdate) {
+        DispatchQueue.main.async {
+            self.subjectTitles = update
+        }
+    }
+    
+    func titles(for property: PropertyData) -> [TitleRecord] {
+        guard let update = subjectTitles, update.appellation == property.appellation else { return [] }
+        return update.titles
+    }
+    
     func updateAlignmentPoints(_ points: [CLLocationCoordinate2D]) {
         DispatchQueue.main.async {
             self.alignmentPoints = points
@@ -263,6 +299,25 @@ struct PropertyData: Codable, Identifiable, Equatable {
     }
 }
 
+struct TitleUpdate: Codable, Equatable {
+    let appellation: String
+    let titles: [TitleRecord]
+}
+
+// LINZ Record of Title as sent by the map (title-records.js)
+struct TitleRecord: Codable, Equatable, Identifiable {
+    let titleNo: String
+    let status: String?
+    let type: String?
+    let estateDescription: String?
+    let issueDate: String?
+    let landDistrict: String?
+    let guaranteeStatus: String?
+    let numberOwners: Int?
+    
+    var id: String { titleNo }
+}
+
 struct ARPoint: Codable, Equatable {
     let x: Double
     let y: Double
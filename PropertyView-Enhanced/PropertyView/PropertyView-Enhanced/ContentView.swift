@@ -4,6 +4,13 @@ struct ContentView: View {
     @StateObject private var appState = AppState()
     
     var body: some View {
+        mainView.onOpenURL { url in
+            appState.handleDeepLink(url)
+        }
+    }
+    
+    @ViewBuilder
+    private var mainView: some View {
         if appState.isAppReady {
             TabView {
                 MapTab()
@@ -25,6 +25,9 @@ struct MapTab: View {
                     onAlignmentPointsReceived: { points in
                         state.updateAlignmentPoints(points)
                     },
+                    onTitlesReceived: { update in
+                        state.updateTitles(update)
+                    },
                     onError: { error in
                         alertMessage = error
                         showingAlert = true
@@ -101,6 +104,9 @@ struct MapTab: View {
             .onChange(of: loc.last) { newLoc in
                 handleLocationUpdate(newLoc)
             }
+            .onChange(of: state.deepLinkQuery) { items in
+                openDeepLink(items)
+            }
             .alert("Map Error", isPresented: $showingAlert) {
                 Button("OK") { }
             } message: {
@@ -110,7 +116,25 @@ struct MapTab: View {
     }
     
     private func setupInitialURL() {
-        webURL = state.bundledWebURL(with: nil)
+        if state.deepLinkQuery != nil {
+            openDeepLink(state.deepLinkQuery)
+        } else {
+            webURL = state.bundledWebURL(with: nil)
+        }
+    }
+    
+    // A shared link replaces the GPS seed - the map opens on the linked view and selection
+    private func openDeepLink(_ items: [URLQueryItem]?) {
+        guard let items else { return }
+        let url = state.bundledWebURL(queryItems: items)
+        if webURL == url {
+            // The same link again - the page may have moved on since, so load it afresh
+            webViewStore.webView.load(URLRequest(url: url))
+        }
+        webURL = url
+        didSeed = true
+        // Cleared once handled so reopening the same link changes it again
+        state.deepLinkQuery = nil
     }
     
     private func handleLocationUpdate(_ newLoc: CLLocation?) {
@@ -182,6 +206,7 @@ struct EnhancedWebMapView: UIViewRepresentable {
     let webViewStore: WebViewStore
     let onCoordinatesReceived: (ARCoordinateData) -> Void
     let onAlignmentPointsReceived: ([CLLocationCoordinate2D]) -> Void
+    let onTitlesReceived: (TitleUpdate) -> Void
     let onError: (String) -> Void
     
     func makeUIView(context: Context) -> WKWebView {
@@ -196,6 +221,8 @@ struct EnhancedWebMapView: UIViewRepresentable {
         userContentController.add(context.coordinator, name: "statusUpdate")
         userContentController.add(context.coordinator, name: "errorReport")
         userContentController.add(context.coordinator, name: "exportKML")
+        userContentController.add(context.coordinator, name: "shareLink")
+        userContentController.add(context.coordinator, name: "updateTitles")
         
         // Enhanced LINZ API key injection
         if let apiKey = Bundle.main.infoDictionary?["LINZ_API_KEY"] as? String {
@@ -241,6 +268,10 @@ struct EnhancedWebMapView: UIViewRepresentable {
                 handleErrorReport(message.body)
             case "exportKML":
                 handleExportKML(message.body)
+            case "shareLink":
+                handleShareLink(message.body)
+            case "updateTitles":
+                handleUpdateTitles(message.body)
             default:
                 break
             }
@@ -322,6 +353,16 @@ struct EnhancedWebMapView: UIViewRepresentable {
             )
         }
         
+        private func handleUpdateTitles(_ body: Any) {
+            guard let data = try? JSONSerialization.data(withJSONObject: body),
+                  let update = try? JSONDecoder().decode(TitleUpdate.self, from: data) else {
+                print("Failed to parse title update")
+                return
+            }
+            
+            parent.onTitlesReceived(update)
+        }
+        
         private func handleStatusUpdate(_ body: Any) {
             // Handle status updates from web view
             print("Status update:", body)
@@ -334,6 +375,26 @@ struct EnhancedWebMapView: UIViewRepresentable {
             }
         }
         
+        private func handleShareLink(_ body: Any) {
+            guard let shareDict = body as? [String: Any],
+                  let link = shareDict["url"] as? String,
+                  let url = URL(string: link) else {
+                parent.onError("Failed to share link")
+                return
+            }
+            
+            var items: [Any] = [url]
+            if let title = shareDict["title"] as? String {
+                items.insert(title, at: 0)
+            }
+            
+            let activityVC = UIActivityViewController(activityItems: items, applicationActivities: nil)
+            if let windowScene = UIApplication.shared.connectedScenes.first as? UIWindowScene,
+               let window = windowScene.windows.first {
+                window.rootViewController?.present(activityVC, animated: true)
+            }
+        }
+        
         private func handleExportKML(_ body: Any) {
             guard let exportDict = body as? [String: Any],
                   let filename = exportDict["filename"] as? String,
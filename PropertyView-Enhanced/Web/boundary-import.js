@@ -0,0 +1,221 @@
+/**
+ * Boundary File Import
+ * Surveyor-supplied KML, GeoJSON and GPX boundaries parsed into a WGS84 FeatureCollection of
+ * Polygon / MultiPolygon features, shaped like a boundary provider response
+ */
+
+function detectImportFormat(filename, text) {
+    const extension = String(filename).split('.').pop().toLowerCase();
+    if (extension === 'kml' || extension === 'gpx') return extension;
+    if (extension === 'geojson' || extension === 'json') return 'geojson';
+
+    const head = text.trimStart().slice(0, 500);
+    if (head.startsWith('{')) return 'geojson';
+    if (/<kml[\s>]/i.test(head)) return 'kml';
+    if (/<gpx[\s>]/i.test(head)) return 'gpx';
+    throw new Error(`Unrecognised boundary file: ${filename || 'no file name'}`);
+}
+
+/**
+ * Parse file text into a FeatureCollection; projector (a CoordinateProcessor) reprojects NZTM GeoJSON
+ */
+function parseBoundaryFile(text, filename = '', projector = null) {
+    const format = detectImportFormat(filename, text);
+    const features = format === 'geojson' ? parseGeoJsonBoundaries(text, projector)
+        : format === 'kml' ? parseKmlBoundaries(parseXmlDocument(text))
+        : parseGpxBoundaries(parseXmlDocument(text));
+
+    if (!features.length) {
+        throw new Error(`No polygon boundaries found in ${filename || format}`);
+    }
+
+    return {
+        type: 'FeatureCollection',
+        features: features.map((feature, i) => ({
+            ...feature,
+            id: feature.id ?? `import-${i + 1}`,
+            properties: { ...feature.properties, source: filename || format }
+        })),
+        metadata: { provider: 'import', format, filename, importedAt: new Date().toISOString() }
+    };
+}
+
+function parseXmlDocument(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (!doc || doc.getElementsByTagName('parsererror').length) {
+        throw new Error('Boundary file is not valid XML');
+    }
+    return doc;
+}
+
+function xmlElements(node, name) {
+    return Array.from(node.getElementsByTagNameNS('*', name));
+}
+
+function xmlText(node, name) {
+    const element = xmlElements(node, name)[0];
+    return element ? element.textContent.trim() : '';
+}
+
+/**
+ * Closed ring of [lon, lat] positions, or null when fewer than three distinct points
+ */
+function closeImportedRing(positions) {
+    const ring = positions.filter(p => p.length >= 2 && Number.isFinite(p[0]) && Number.isFinite(p[1]))
+        .map(p => [p[0], p[1]]);
+    if (ring.length && (ring[0][0] !== ring[ring.length - 1][0] || ring[0][1] !== ring[ring.length - 1][1])) {
+        ring.push(ring[0]);
+    }
+    return ring.length >= 4 ? ring : null;
+}
+
+function importedFeature(polygons, properties) {
+    const valid = polygons.filter(rings => rings.length);
+    if (!valid.length) return null;
+    return {
+        type: 'Feature',
+        properties,
+        geometry: valid.length === 1
+            ? { type: 'Polygon', coordinates: valid[0] }
+            : { type: 'MultiPolygon', coordinates: valid }
+    };
+}
+
+// "lon,lat[,alt] lon,lat[,alt] ..."
+function parseKmlCoordinates(text) {
+    return text.split(/\s+/).filter(Boolean).map(tuple => tuple.split(',').map(Number));
+}
+
+/**
+ * One feature per Placemark with Polygons (or closed LineStrings / LinearRings);
+ * name, description and ExtendedData become properties
+ */
+function parseKmlBoundaries(doc) {
+    return xmlElements(doc, 'Placemark').map(placemark => {
+        const polygons = xmlElements(placemark, 'Polygon').map(polygon => {
+            const outer = xmlElements(polygon, 'outerBoundaryIs')
+                .map(boundary => closeImportedRing(parseKmlCoordinates(xmlText(boundary, 'coordinates'))));
+            const holes = xmlElements(polygon, 'innerBoundaryIs')
+                .map(boundary => closeImportedRing(parseKmlCoordinates(xmlText(boundary, 'coordinates'))));
+            return outer[0] ? [outer[0], ...holes.filter(Boolean)] : [];
+        });
+
+        // Boundary traverses drawn as lines count when they close on themselves
+        const inPolygon = node => {
+            for (let parent = node.parentNode; parent; parent = parent.parentNode) {
+                if (parent.localName === 'Polygon') return true;
+            }
+            return false;
+        };
+        [...xmlElements(placemark, 'LineString'), ...xmlElements(placemark, 'LinearRing')]
+            .filter(line => !inPolygon(line))
+            .forEach(line => {
+                const positions = parseKmlCoordinates(xmlText(line, 'coordinates'));
+                const first = positions[0], last = positions[positions.length - 1];
+                if (first && first[0] === last[0] && first[1] === last[1]) {
+                    const ring = closeImportedRing(positions);
+                    if (ring) polygons.push([ring]);
+                }
+            });
+
+        const properties = {};
+        const name = xmlText(placemark, 'name');
+        if (name) {
+            properties.name = name;
+            properties.appellation = name;
+        }
+        const description = xmlText(placemark, 'description');
+        if (description) properties.description = description;
+        xmlElements(placemark, 'Data').forEach(data => {
+            properties[data.getAttribute('name')] = xmlText(data, 'value');
+        });
+        xmlElements(placemark, 'SimpleData').forEach(data => {
+            properties[data.getAttribute('name')] = data.textContent.trim();
+        });
+
+        return importedFeature(polygons, properties);
+    }).filter(Boolean);
+}
+
+/**
+ * Tracks and routes walked around a boundary - each segment is closed into a ring
+ */
+function parseGpxBoundaries(doc) {
+    const toRing = points => closeImportedRing(points.map(point =>
+        [Number(point.getAttribute('lon')), Number(point.getAttribute('lat'))]));
+
+    const tracks = xmlElements(doc, 'trk').map(track => ({
+        name: xmlText(track, 'name'),
+        rings: xmlElements(track, 'trkseg').map(segment => toRing(xmlElements(segment, 'trkpt')))
+    }));
+    const routes = xmlElements(doc, 'rte').map(route => ({
+        name: xmlText(route, 'name'),
+        rings: [toRing(xmlElements(route, 'rtept'))]
+    }));
+
+    return [...tracks, ...routes].map(({ name, rings }) =>
+        importedFeature(rings.filter(Boolean).map(ring => [ring]), name ? { name, appellation: name } : {})
+    ).filter(Boolean);
+}
+
+/**
+ * FeatureCollection, Feature or bare geometry; closed LineStrings become polygons
+ * NZTM2000 input is recognised from the "crs" member, or from coordinates outside lon/lat range
+ */
+function parseGeoJsonBoundaries(text, projector = null) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Boundary file is not valid JSON: ${error.message}`);
+    }
+
+    const features = data.type === 'FeatureCollection' ? data.features || []
+        : data.type === 'Feature' ? [data]
+        : [{ type: 'Feature', properties: {}, geometry: data }];
+
+    // An unusable outer ring drops the whole polygon rather than promoting a hole
+    const toRings = coordinates => {
+        const rings = coordinates.map(closeImportedRing);
+        return rings[0] ? rings.filter(Boolean) : [];
+    };
+    const toPolygons = geometry => {
+        if (geometry?.type === 'Polygon') {
+            return [toRings(geometry.coordinates)];
+        }
+        if (geometry?.type === 'MultiPolygon') {
+            return geometry.coordinates.map(toRings);
+        }
+        if (geometry?.type === 'LineString') {
+            const first = geometry.coordinates[0], last = geometry.coordinates[geometry.coordinates.length - 1];
+            const closed = first && first[0] === last[0] && first[1] === last[1];
+            const ring = closed ? closeImportedRing(geometry.coordinates) : null;
+            return ring ? [[ring]] : [];
+        }
+        if (geometry?.type === 'GeometryCollection') {
+            return geometry.geometries.flatMap(toPolygons);
+        }
+        return [];
+    };
+
+    const parsed = features.map(feature => {
+        const properties = { ...feature.properties };
+        if (!properties.appellation && properties.name) properties.appellation = properties.name;
+        const result = importedFeature(toPolygons(feature.geometry), properties);
+        if (result && feature.id !== undefined) result.id = feature.id;
+        return result;
+    }).filter(Boolean);
+
+    const crsName = data.crs?.properties?.name;
+    const firstGeometry = parsed[0]?.geometry;
+    const firstPosition = firstGeometry && (firstGeometry.type === 'Polygon'
+        ? firstGeometry.coordinates[0][0] : firstGeometry.coordinates[0][0][0]);
+    const looksProjected = firstPosition && (Math.abs(firstPosition[0]) > 180 || Math.abs(firstPosition[1]) > 90);
+    const srsName = crsName || (looksProjected ? 'EPSG:2193' : 'EPSG:4326');
+
+    if (!projector || projector.normalizeSrsName(srsName) === 'EPSG:4326') {
+        if (looksProjected) throw new Error('Projected coordinates need a coordinate processor to import');
+        return parsed;
+    }
+    return projector.reprojectGeoJSON({ type: 'FeatureCollection', features: parsed }, srsName, 'EPSG:4326').features;
+}
@@ -0,0 +1,361 @@
+/**
+ * Boundary Data Providers
+ * Pluggable property boundary sources used by CoordinateProcessor
+ * Every provider resolves to the same normalized GeoJSON FeatureCollection
+ */
+
+class BoundaryProvider {
+    constructor(options = {}) {
+        this.options = options;
+        this.name = options.name || 'boundary-provider';
+    }
+
+    /**
+     * Fetch parcels intersecting bbox ({ minLon, minLat, maxLon, maxLat } in EPSG:4326)
+     */
+    async fetchBoundaries() {
+        throw new Error(`${this.name} does not implement fetchBoundaries`);
+    }
+
+    /**
+     * Identifies the data behind this provider - two sources of the same type differ here
+     */
+    sourceId() {
+        return this.name;
+    }
+
+    /**
+     * Normalize any GeoJSON input into a FeatureCollection of polygon features
+     */
+    normalizeFeatureCollection(data) {
+        let features = [];
+        if (data?.type === 'FeatureCollection' && Array.isArray(data.features)) {
+            features = data.features;
+        } else if (data?.type === 'Feature') {
+            features = [data];
+        } else if (data?.type === 'Polygon' || data?.type === 'MultiPolygon') {
+            features = [{ type: 'Feature', properties: {}, geometry: data }];
+        }
+
+        const normalized = features
+            .filter(f => f && f.geometry &&
+                (f.geometry.type === 'Polygon' || f.geometry.type === 'MultiPolygon'))
+            .map(f => ({
+                type: 'Feature',
+                id: f.id ?? f.properties?.id,
+                properties: f.properties || {},
+                geometry: f.geometry
+            }));
+
+        return {
+            type: 'FeatureCollection',
+            features: normalized,
+            metadata: {
+                provider: this.name,
+                featureCount: normalized.length,
+                truncated: false
+            }
+        };
+    }
+
+    /**
+     * Keep only features whose bounds intersect bbox - used by static sources
+     */
+    filterByBoundingBox(collection, bbox) {
+        if (!bbox) return collection;
+
+        const features = collection.features.filter(feature => {
+            const fb = this.featureBounds(feature);
+            return fb && fb.minLon <= bbox.maxLon && fb.maxLon >= bbox.minLon &&
+                fb.minLat <= bbox.maxLat && fb.maxLat >= bbox.minLat;
+        });
+
+        return {
+            ...collection,
+            features,
+            metadata: { ...collection.metadata, featureCount: features.length }
+        };
+    }
+
+    featureBounds(feature) {
+        const polygons = feature.geometry.type === 'Polygon'
+            ? [feature.geometry.coordinates]
+            : feature.geometry.coordinates;
+
+        let minLon = Infinity, minLat = Infinity, maxLon = -Infinity, maxLat = -Infinity;
+        polygons.forEach(poly => (poly[0] || []).forEach(([lon, lat]) => {
+            if (lon < minLon) minLon = lon;
+            if (lon > maxLon) maxLon = lon;
+            if (lat < minLat) minLat = lat;
+            if (lat > maxLat) maxLat = lat;
+        }));
+
+        return minLon === Infinity ? null : { minLon, minLat, maxLon, maxLat };
+    }
+}
+
+/**
+ * Generic OGC WFS 2.0 provider (council GeoServer, MapServer, etc.)
+ * Pages through results with startIndex/numberMatched up to maxFeatures
+ * Results in another srsName (e.g. EPSG:2193) are reprojected to EPSG:4326 with the projector
+ */
+class WfsBoundaryProvider extends BoundaryProvider {
+    constructor(options = {}) {
+        super({ name: 'wfs', ...options });
+        this.url = options.url;
+        this.typeName = options.typeName;
+        this.srsName = options.srsName || 'EPSG:4326';
+        this.projector = options.projector;  // CoordinateProcessor, for NZTM responses
+        this.count = options.count || 50;              // page size
+        this.maxFeatures = options.maxFeatures || 500; // paging ceiling
+        this.extraParams = options.params || {};
+        this.label = options.label || 'WFS';
+    }
+
+    sourceId() {
+        // Keys embedded in the service URL (LINZ, Stats NZ) do not change the data
+        const url = (this.url || '').replace(/;key=[^/]*/, '');
+        return [this.name, url, this.typeName, JSON.stringify(this.extraParams)].join('|');
+    }
+
+    buildRequestUrl(bbox, startIndex = 0, count = this.count) {
+        if (!this.url || !this.typeName) {
+            throw new Error(`${this.label} provider requires url and typeName`);
+        }
+
+        const url = new URL(this.url);
+        url.searchParams.set('service', 'WFS');
+        url.searchParams.set('version', '2.0.0');
+        url.searchParams.set('request', 'GetFeature');
+        url.searchParams.set('typeNames', this.typeName);
+        url.searchParams.set('outputFormat', 'application/json');
+        url.searchParams.set('srsName', this.srsName);
+        url.searchParams.set('bbox', `${bbox.minLon},${bbox.minLat},${bbox.maxLon},${bbox.maxLat},EPSG:4326`);
+        url.searchParams.set('count', String(count));
+        if (startIndex > 0) {
+            url.searchParams.set('startIndex', String(startIndex));
+        }
+        Object.entries(this.extraParams).forEach(([k, v]) => url.searchParams.set(k, v));
+        return url;
+    }
+
+    async fetchBoundaries(bbox) {
+        const features = [];
+        let numberMatched = null;
+        let pages = 0;
+        let lastPageFull = false;
+
+        while (features.length < this.maxFeatures) {
+            const count = Math.min(this.count, this.maxFeatures - features.length);
+            const page = await this.fetchPage(bbox, features.length, count);
+            pages++;
+
+            const pageFeatures = page.features || [];
+            features.push(...pageFeatures);
+
+            // numberMatched may be "unknown" or absent on some servers
+            const matched = Number(page.numberMatched);
+            if (Number.isFinite(matched)) numberMatched = matched;
+
+            lastPageFull = pageFeatures.length >= count;
+            if (!lastPageFull) break;
+            if (numberMatched !== null && features.length >= numberMatched) break;
+        }
+
+        const truncated = numberMatched !== null
+            ? features.length < numberMatched
+            : lastPageFull && features.length >= this.maxFeatures;
+
+        if (truncated) {
+            console.warn(`${this.label}: result truncated at ${features.length} of ${numberMatched ?? 'unknown'} features`);
+        }
+
+        const collection = this.toWgs84(this.normalizeFeatureCollection({ type: 'FeatureCollection', features }));
+        collection.metadata = {
+            ...collection.metadata,
+            numberMatched,
+            numberReturned: features.length,
+            pages,
+            maxFeatures: this.maxFeatures,
+            truncated
+        };
+        return collection;
+    }
+
+    /**
+     * Every provider returns EPSG:4326 - callers never see the request srsName
+     */
+    toWgs84(collection) {
+        if (/(?:^|\D)(4326|CRS:?84)\s*$/i.test(this.srsName)) return collection;
+        if (!this.projector) {
+            throw new Error(`${this.label} provider needs a projector for ${this.srsName}`);
+        }
+        return this.projector.reprojectGeoJSON(collection, this.srsName, 'EPSG:4326');
+    }
+
+    async fetchPage(bbox, startIndex, count) {
+        const url = this.buildRequestUrl(bbox, startIndex, count);
+        console.log(`${this.label} request:`, url.toString());
+
+        const response = await fetch(url.toString());
+        if (!response.ok) {
+            throw new Error(`${this.label} error: ${response.status} ${response.statusText}`);
+        }
+
+        return response.json();
+    }
+}
+
+/**
+ * LINZ Data Service WFS - NZ Primary Parcels by default
+ */
+class LinzWfsProvider extends WfsBoundaryProvider {
+    constructor(options = {}) {
+        super({
+            name: 'linz-wfs',
+            label: 'LINZ API',
+            typeName: 'layer-50823', // NZ Property Boundaries
+            ...options
+        });
+        this.apiKey = options.apiKey;
+    }
+
+    buildRequestUrl(bbox, startIndex, count) {
+        if (!this.apiKey) {
+            throw new Error('LINZ API key is required for property boundary download');
+        }
+        this.url = `https://data.linz.govt.nz/services;key=${this.apiKey}/wfs`;
+        return super.buildRequestUrl(bbox, startIndex, count);
+    }
+}
+
+/**
+ * ArcGIS Server / ArcGIS Online feature layer (".../FeatureServer/0", ".../MapServer/3")
+ * Most NZ councils publish their district plans this way rather than over WFS
+ * Queried with outSR=4326, so results need no reprojection
+ */
+class ArcGisFeatureProvider extends BoundaryProvider {
+    constructor(options = {}) {
+        super({ name: 'arcgis', ...options });
+        this.url = options.url;
+        this.where = options.where || '1=1';
+        this.count = options.count || 200;             // resultRecordCount per page
+        this.maxFeatures = options.maxFeatures || 500;
+        this.label = options.label || 'ArcGIS';
+    }
+
+    sourceId() {
+        return [this.name, this.url, this.where].join('|');
+    }
+
+    buildRequestUrl(bbox, offset = 0, count = this.count) {
+        if (!this.url) {
+            throw new Error(`${this.label} provider requires a layer url`);
+        }
+
+        const url = new URL(`${this.url.replace(/\/+$/, '')}/query`);
+        url.searchParams.set('f', 'geojson');
+        url.searchParams.set('where', this.where);
+        url.searchParams.set('geometry', `${bbox.minLon},${bbox.minLat},${bbox.maxLon},${bbox.maxLat}`);
+        url.searchParams.set('geometryType', 'esriGeometryEnvelope');
+        url.searchParams.set('spatialRel', 'esriSpatialRelIntersects');
+        url.searchParams.set('inSR', '4326');
+        url.searchParams.set('outSR', '4326');
+        url.searchParams.set('outFields', '*');
+        url.searchParams.set('resultOffset', String(offset));
+        url.searchParams.set('resultRecordCount', String(count));
+        return url;
+    }
+
+    async fetchBoundaries(bbox) {
+        const features = [];
+        let exceeded = false;
+
+        do {
+            const count = Math.min(this.count, this.maxFeatures - features.length);
+            const url = this.buildRequestUrl(bbox, features.length, count);
+            console.log(`${this.label} request:`, url.toString());
+
+            const response = await fetch(url.toString());
+            if (!response.ok) {
+                throw new Error(`${this.label} error: ${response.status} ${response.statusText}`);
+            }
+            const page = await response.json();
+            // ArcGIS reports query errors with a 200 status
+            if (page.error) {
+                throw new Error(`${this.label} error: ${page.error.code} ${page.error.message}`);
+            }
+
+            const pageFeatures = page.features || [];
+            features.push(...pageFeatures);
+            exceeded = !!(page.exceededTransferLimit || page.properties?.exceededTransferLimit) && pageFeatures.length > 0;
+        } while (exceeded && features.length < this.maxFeatures);
+
+        const collection = this.normalizeFeatureCollection({ type: 'FeatureCollection', features });
+        collection.metadata = { ...collection.metadata, truncated: exceeded };
+        return collection;
+    }
+}
+
+/**
+ * Static GeoJSON file served alongside the app (or any URL)
+ */
+class GeoJsonFileProvider extends BoundaryProvider {
+    constructor(options = {}) {
+        super({ name: 'geojson-file', ...options });
+        this.url = options.url;
+        this.collection = null;
+    }
+
+    async fetchBoundaries(bbox) {
+        if (!this.collection) {
+            if (!this.url) throw new Error('GeoJSON file provider requires a url');
+
+            const response = await fetch(this.url);
+            if (!response.ok) {
+                throw new Error(`GeoJSON file error: ${response.status} ${response.statusText}`);
+            }
+            this.collection = this.normalizeFeatureCollection(await response.json());
+        }
+
+        return this.filterByBoundingBox(this.collection, bbox);
+    }
+}
+
+/**
+ * In-memory FeatureCollection - for tests, demos and offline fixtures
+ */
+class FixtureBoundaryProvider extends BoundaryProvider {
+    constructor(options = {}) {
+        super({ name: 'fixture', ...options });
+        this.collection = this.normalizeFeatureCollection(options.data);
+    }
+
+    async fetchBoundaries(bbox) {
+        return this.filterByBoundingBox(this.collection, bbox);
+    }
+}
+
+const BOUNDARY_PROVIDER_TYPES = {
+    'linz-wfs': LinzWfsProvider,
+    'wfs': WfsBoundaryProvider,
+    'arcgis': ArcGisFeatureProvider,
+    'geojson-file': GeoJsonFileProvider,
+    'fixture': FixtureBoundaryProvider
+};
+
+/**
+ * Build a provider from a config object ({ type, ...options }) or pass an instance through
+ * projector (a CoordinateProcessor) reprojects WFS responses requested in EPSG:2193
+ */
+function createBoundaryProvider(config = {}, apiKey = null, projector = null) {
+    if (config instanceof BoundaryProvider) return config;
+
+    const type = config.type || 'linz-wfs';
+    const ProviderClass = BOUNDARY_PROVIDER_TYPES[type];
+    if (!ProviderClass) {
+        throw new Error(`Unknown boundary provider type: ${type}`);
+    }
+
+    return new ProviderClass({ apiKey, projector, ...config });
+}
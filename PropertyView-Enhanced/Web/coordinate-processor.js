@@ -1,12 +1,49 @@
 /**
  * Enhanced LINZ Property Boundary Coordinate Processor
- * Downloads GPS coordinates from LINZ API and converts them for AR usage
+ * Downloads GPS coordinates from LINZ API (or any configured boundary provider)
+ * and converts them for AR usage
  * Includes mathematical positioning fallback system
  */
 
+// NZ Transverse Mercator 2000 (EPSG:2193) on GRS80; NZGD2000 is treated as WGS84 (sub-metre)
+const NZTM2000 = {
+    srsName: 'EPSG:2193',
+    a: 6378137.0,
+    f: 1 / 298.257222101,
+    centralMeridian: 173.0,
+    scaleFactor: 0.9996,
+    falseEasting: 1600000.0,
+    falseNorthing: 10000000.0
+};
+
 class CoordinateProcessor {
-    constructor(apiKey) {
+    constructor(apiKey, options = {}) {
         this.apiKey = apiKey;
+        this.providerConfig = options.provider || { type: 'linz-wfs' };
+        this.provider = null; // resolved lazily from providerConfig
+        // Records of Title layer for the title lookup - LINZ "NZ Property Titles"; false disables it
+        this.titleConfig = options.titles ?? (this.providerConfig.type === 'linz-wfs'
+            ? { type: 'linz-wfs', typeName: 'layer-50804', count: 20, maxFeatures: 100 }
+            : false);
+        this.titleProvider = null;
+        this.overlayProviders = new Map(); // hazard / planning overlay sources by config key
+        this.cache = options.cache || null; // optional ParcelCache (see parcel-cache.js)
+        this.simplification = {
+            toleranceMeters: 0.05,     // max deviation simplification may introduce
+            method: 'douglas-peucker', // or 'visvalingam'
+            maxPoints: 50,             // rings at or below this are left untouched
+            ...options.simplification
+        };
+        this.setbacks = {
+            front: 3.0,    // road-facing edges
+            side: 1.5,
+            rear: 1.5,     // edges facing away from the road
+            overrides: {}, // per-edge distances keyed by edge number, or "part.edge" for multipart lots
+            ...options.setbacks
+        };
+        this.elevationConfig = options.elevation || { type: 'constant', altitude: 0 };
+        this.elevationSource = null; // resolved lazily from elevationConfig
+        this.densifyMeters = this.elevationConfig.densifyMeters ?? 5; // max edge length when following terrain
         this.downloadedCoordinates = null;
         this.arCoordinates = null;
         this.subjectProperty = null;
@@ -15,110 +52,324 @@ class CoordinateProcessor {
     }
 
     /**
-     * Enhanced download from LINZ API with better error handling
+     * Resolve the configured boundary provider (see boundary-providers.js)
      */
-    async downloadPropertyBoundaries(longitude, latitude, radiusMeters = 150) {
-        if (!this.apiKey) {
-            throw new Error('LINZ API key is required for property boundary download');
+    getProvider() {
+        if (!this.provider) {
+            if (typeof createBoundaryProvider === 'undefined') {
+                throw new Error('Boundary providers not loaded - include boundary-providers.js');
+            }
+            this.provider = createBoundaryProvider(this.providerConfig, this.apiKey, this);
+            if (this.cache && typeof CachedBoundaryProvider !== 'undefined') {
+                this.provider = new CachedBoundaryProvider(this.provider, this.cache);
+            }
         }
+        return this.provider;
+    }
 
-        console.log(`Enhanced LINZ download: ${latitude}, ${longitude}, radius: ${radiusMeters}m`);
-        
-        // Calculate enhanced bounding box
+    getTitleProvider() {
+        if (!this.titleProvider) {
+            if (!this.titleConfig) {
+                throw new Error('No title layer configured');
+            }
+            this.titleProvider = createBoundaryProvider(this.titleConfig, this.apiKey, this);
+        }
+        return this.titleProvider;
+    }
+
+    /**
+     * Resolve the configured elevation source (see elevation-sources.js)
+     * Without elevation-sources.js every vertex stays at the origin altitude
+     */
+    getElevationSource() {
+        if (!this.elevationSource && typeof createElevationSource !== 'undefined') {
+            this.elevationSource = createElevationSource(this.elevationConfig, this);
+        }
+        return this.elevationSource;
+    }
+
+    /**
+     * Swap the elevation source at runtime (config object or source instance)
+     */
+    setElevationSource(elevationConfig) {
+        this.elevationConfig = elevationConfig;
+        this.elevationSource = null;
+        this.densifyMeters = elevationConfig.densifyMeters ?? this.densifyMeters;
+    }
+
+    /**
+     * Supply the LINZ key after construction (e.g. a processor made for a file import) -
+     * providers are rebuilt with it, the loaded parcels are kept
+     */
+    setApiKey(apiKey) {
+        this.apiKey = apiKey;
+        this.provider = null;
+        this.titleProvider = null;
+        this.overlayProviders.clear();
+    }
+
+    /**
+     * Download and pin every parcel in bbox for offline use (requires a cache)
+     */
+    async downloadAreaForOffline(bbox, onProgress) {
+        const provider = this.getProvider();
+        if (typeof provider.downloadArea !== 'function') {
+            throw new Error('Offline download requires the parcel cache');
+        }
+        return provider.downloadArea(bbox, onProgress);
+    }
+
+    /**
+     * Swap the boundary provider at runtime (config object or provider instance)
+     */
+    setProvider(providerConfig) {
+        this.providerConfig = providerConfig;
+        this.provider = null;
+    }
+
+    /**
+     * Bounding box around a point, radius in metres
+     */
+    calculateBoundingBox(longitude, latitude, radiusMeters) {
         const dLat = radiusMeters / 111320.0;
         const dLon = radiusMeters / (111320.0 * Math.cos(latitude * Math.PI / 180.0));
-        const bbox = {
+        return {
             minLon: longitude - dLon,
             minLat: latitude - dLat,
             maxLon: longitude + dLon,
             maxLat: latitude + dLat
         };
+    }
+
+    /**
+     * Enhanced boundary download through the configured provider with better error handling
+     * x/y are longitude/latitude for EPSG:4326 or easting/northing for EPSG:2193;
+     * the returned FeatureCollection is in the same srsName (AR processing always uses 4326)
+     */
+    async downloadPropertyBoundaries(x, y, radiusMeters = 150, srsName = 'EPSG:4326') {
+        const srs = this.normalizeSrsName(srsName);
+        const position = srs === NZTM2000.srsName
+            ? this.nztmToWGS84(x, y)
+            : { longitude: x, latitude: y };
+        const { longitude, latitude } = position;
 
-        // Enhanced LINZ WFS URL construction
-        const linzUrl = new URL(`https://data.linz.govt.nz/services;key=${this.apiKey}/wfs`);
-        linzUrl.searchParams.set('service', 'WFS');
-        linzUrl.searchParams.set('version', '2.0.0');
-        linzUrl.searchParams.set('request', 'GetFeature');
-        linzUrl.searchParams.set('typeNames', 'layer-50823'); // NZ Property Boundaries
-        linzUrl.searchParams.set('outputFormat', 'application/json');
-        linzUrl.searchParams.set('srsName', 'EPSG:4326');
-        linzUrl.searchParams.set('bbox', `${bbox.minLon},${bbox.minLat},${bbox.maxLon},${bbox.maxLat},EPSG:4326`);
-        linzUrl.searchParams.set('count', '50');
+        const provider = this.getProvider();
+        console.log(`Enhanced boundary download (${provider.name}): ${latitude}, ${longitude}, radius: ${radiusMeters}m`);
+        
+        const bbox = this.calculateBoundingBox(longitude, latitude, radiusMeters);
 
         try {
-            console.log('Enhanced LINZ request:', linzUrl.toString());
-            
-            const response = await fetch(linzUrl.toString());
-            if (!response.ok) {
-                throw new Error(`LINZ API error: ${response.status} ${response.statusText}`);
-            }
+            const geoJsonData = await provider.fetchBoundaries(bbox);
+            console.log(`Enhanced boundary response: ${geoJsonData.features?.length || 0} features`);
 
-            const geoJsonData = await response.json();
-            console.log(`Enhanced LINZ response: ${geoJsonData.features?.length || 0} features`);
+            this.loadBoundaries(geoJsonData, latitude, longitude);
+            return this.reprojectGeoJSON(geoJsonData, 'EPSG:4326', srs);
+
+        } catch (error) {
+            console.error('Enhanced boundary download failed:', error);
+            throw new Error(`Failed to download property boundaries: ${error.message}`);
+        }
+    }
 
-            // Store for AR processing
-            this.downloadedCoordinates = geoJsonData;
-            this.origin = { latitude, longitude };
+    /**
+     * Store a WGS84 boundary FeatureCollection for AR processing, subject chosen at the origin
+     */
+    loadBoundaries(geoJsonData, latitude, longitude) {
+        this.downloadedCoordinates = geoJsonData;
+        this.origin = { latitude, longitude };
 
-            // Enhanced feature processing
-            if (geoJsonData.features && geoJsonData.features.length > 0) {
-                this.processPropertiesForAR(geoJsonData, latitude, longitude);
-            }
+        if (geoJsonData.features && geoJsonData.features.length > 0) {
+            this.processPropertiesForAR(geoJsonData, latitude, longitude);
+        }
+        return geoJsonData;
+    }
 
-            return geoJsonData;
+    /**
+     * Boundaries from a KML / GeoJSON / GPX file (see boundary-import.js), loaded like a provider
+     * response with the origin inside the first imported polygon
+     */
+    importBoundaries(text, filename) {
+        const collection = parseBoundaryFile(text, filename, this);
+        const origin = this.calculateLabelPoint(collection.features[0]);
+        console.log(`Imported ${collection.features.length} boundaries from ${filename || collection.metadata.format}`);
+        return this.loadBoundaries(collection, origin.latitude, origin.longitude);
+    }
 
-        } catch (error) {
-            console.error('Enhanced LINZ download failed:', error);
-            throw new Error(`Failed to download property boundaries: ${error.message}`);
+    /**
+     * Canonical 'EPSG:4326' / 'EPSG:2193' from EPSG codes, URNs or OGC URIs
+     */
+    normalizeSrsName(srsName) {
+        const match = String(srsName || 'EPSG:4326').match(/(?:^|\D)(4326|2193|CRS:?84)\s*$/i);
+        if (!match) {
+            throw new Error(`Unsupported srsName: ${srsName} (use EPSG:4326 or EPSG:2193)`);
         }
+        return match[1] === '2193' ? NZTM2000.srsName : 'EPSG:4326';
     }
 
     /**
-     * Enhanced property processing for AR with mathematical fallback
+     * WGS84 latitude/longitude → NZTM2000 { easting, northing } metres
+     * Krüger series to n^6 (Karney 2011) - sub-millimetre across New Zealand
      */
-    processPropertiesForAR(geoJsonData, originLat, originLon) {
-        try {
-            // Find subject property (closest to origin)
-            let subjectFeature = geoJsonData.features[0];
-            let minDistance = Infinity;
-
-            geoJsonData.features.forEach(feature => {
-                try {
-                    const centroid = this.calculateCentroid(feature);
-                    const distance = this.calculateDistance(
-                        originLat, originLon,
-                        centroid.latitude, centroid.longitude
-                    );
-                    
-                    if (distance < minDistance) {
-                        minDistance = distance;
-                        subjectFeature = feature;
-                    }
-                } catch (e) {
-                    console.warn('Error processing feature for distance:', e);
-                }
-            });
+    wgs84ToNZTM(latitude, longitude) {
+        const tm = this.nztmSeries();
+        const phi = latitude * Math.PI / 180;
+        const lambda = (longitude - NZTM2000.centralMeridian) * Math.PI / 180;
+
+        // Conformal latitude
+        const sinPhi = Math.sin(phi);
+        const t = Math.sinh(Math.atanh(sinPhi) - tm.e * Math.atanh(tm.e * sinPhi));
+        const xiP = Math.atan2(t, Math.cos(lambda));
+        const etaP = Math.atanh(Math.sin(lambda) / Math.sqrt(1 + t * t));
+
+        let xi = xiP, eta = etaP;
+        tm.alpha.forEach((alpha, j) => {
+            const k = 2 * (j + 1);
+            xi += alpha * Math.sin(k * xiP) * Math.cosh(k * etaP);
+            eta += alpha * Math.cos(k * xiP) * Math.sinh(k * etaP);
+        });
+
+        return {
+            easting: NZTM2000.falseEasting + NZTM2000.scaleFactor * tm.A * eta,
+            northing: NZTM2000.falseNorthing + NZTM2000.scaleFactor * tm.A * xi
+        };
+    }
+
+    /**
+     * NZTM2000 easting/northing metres → WGS84 { latitude, longitude }
+     */
+    nztmToWGS84(easting, northing) {
+        const tm = this.nztmSeries();
+        const xi = (northing - NZTM2000.falseNorthing) / (NZTM2000.scaleFactor * tm.A);
+        const eta = (easting - NZTM2000.falseEasting) / (NZTM2000.scaleFactor * tm.A);
+
+        let xiP = xi, etaP = eta;
+        tm.beta.forEach((beta, j) => {
+            const k = 2 * (j + 1);
+            xiP -= beta * Math.sin(k * xi) * Math.cosh(k * eta);
+            etaP -= beta * Math.cos(k * xi) * Math.sinh(k * eta);
+        });
+
+        const tauP = Math.sin(xiP) / Math.sqrt(Math.sinh(etaP) * Math.sinh(etaP) + Math.cos(xiP) * Math.cos(xiP));
+        const lambda = Math.atan2(Math.sinh(etaP), Math.cos(xiP));
 
-            // Enhanced subject property processing
-            this.subjectProperty = {
-                appellation: this.getAppellation(subjectFeature.properties),
-                area: this.calculatePropertyArea(subjectFeature),
-                coordinates: this.extractCoordinates(subjectFeature),
-                centroid: this.calculateCentroid(subjectFeature),
-                distance: minDistance
+        // Newton iteration from conformal back to geodetic latitude
+        const e2 = tm.e * tm.e;
+        let tau = tauP;
+        for (let i = 0; i < 5; i++) {
+            const sigma = Math.sinh(tm.e * Math.atanh(tm.e * tau / Math.sqrt(1 + tau * tau)));
+            const tauI = tau * Math.sqrt(1 + sigma * sigma) - sigma * Math.sqrt(1 + tau * tau);
+            const delta = (tauP - tauI) / Math.sqrt(1 + tauI * tauI) *
+                (1 + (1 - e2) * tau * tau) / ((1 - e2) * Math.sqrt(1 + tau * tau));
+            tau += delta;
+            if (Math.abs(delta) < 1e-12) break;
+        }
+
+        return {
+            latitude: Math.atan(tau) * 180 / Math.PI,
+            longitude: NZTM2000.centralMeridian + lambda * 180 / Math.PI
+        };
+    }
+
+    /**
+     * Krüger series coefficients for GRS80, computed once
+     */
+    nztmSeries() {
+        if (!this.nztmCoefficients) {
+            const f = NZTM2000.f;
+            const n = f / (2 - f);
+            const n2 = n * n, n3 = n2 * n, n4 = n3 * n, n5 = n4 * n, n6 = n5 * n;
+
+            this.nztmCoefficients = {
+                e: Math.sqrt(f * (2 - f)),
+                A: NZTM2000.a / (1 + n) * (1 + n2 / 4 + n4 / 64 + n6 / 256),
+                alpha: [
+                    n / 2 - 2 * n2 / 3 + 5 * n3 / 16 + 41 * n4 / 180 - 127 * n5 / 288 + 7891 * n6 / 37800,
+                    13 * n2 / 48 - 3 * n3 / 5 + 557 * n4 / 1440 + 281 * n5 / 630 - 1983433 * n6 / 1935360,
+                    61 * n3 / 240 - 103 * n4 / 140 + 15061 * n5 / 26880 + 167603 * n6 / 181440,
+                    49561 * n4 / 161280 - 179 * n5 / 168 + 6601661 * n6 / 7257600,
+                    34729 * n5 / 80640 - 3418889 * n6 / 1995840,
+                    212378941 * n6 / 319334400
+                ],
+                beta: [
+                    n / 2 - 2 * n2 / 3 + 37 * n3 / 96 - n4 / 360 - 81 * n5 / 512 + 96199 * n6 / 604800,
+                    n2 / 48 + n3 / 15 - 437 * n4 / 1440 + 46 * n5 / 105 - 1118711 * n6 / 3870720,
+                    17 * n3 / 480 - 37 * n4 / 840 - 209 * n5 / 4480 + 5569 * n6 / 90720,
+                    4397 * n4 / 161280 - 11 * n5 / 504 - 830251 * n6 / 7257600,
+                    4583 * n5 / 161280 - 108847 * n6 / 3991680,
+                    20648693 * n6 / 638668800
+                ]
             };
+        }
+        return this.nztmCoefficients;
+    }
+
+    /**
+     * Transform one GeoJSON position ([lon, lat] or [easting, northing]) between srsNames
+     */
+    transformPosition(position, fromSrs, toSrs) {
+        const from = this.normalizeSrsName(fromSrs);
+        const to = this.normalizeSrsName(toSrs);
+        if (from === to) return position.slice();
+
+        const rest = position.slice(2);
+        if (to === NZTM2000.srsName) {
+            const p = this.wgs84ToNZTM(position[1], position[0]);
+            return [p.easting, p.northing, ...rest];
+        }
+        const p = this.nztmToWGS84(position[0], position[1]);
+        return [p.longitude, p.latitude, ...rest];
+    }
+
+    /**
+     * Copy of a FeatureCollection, Feature or geometry with every position reprojected
+     * NZTM output carries the legacy GeoJSON "crs" member so GIS/CAD tools pick it up
+     */
+    reprojectGeoJSON(data, fromSrs, toSrs) {
+        const from = this.normalizeSrsName(fromSrs);
+        const to = this.normalizeSrsName(toSrs);
+        if (!data || from === to) return data;
+
+        const mapCoords = coords => typeof coords[0] === 'number'
+            ? this.transformPosition(coords, from, to)
+            : coords.map(mapCoords);
+
+        const mapGeometry = geometry => {
+            if (!geometry) return geometry;
+            if (geometry.type === 'GeometryCollection') {
+                return { ...geometry, geometries: geometry.geometries.map(mapGeometry) };
+            }
+            return { ...geometry, coordinates: mapCoords(geometry.coordinates) };
+        };
 
-            // Enhanced neighbor processing
-            this.neighborProperties = geoJsonData.features
-                .filter(f => f !== subjectFeature)
-                .map(feature => ({
-                    appellation: this.getAppellation(feature.properties),
-                    area: this.calculatePropertyArea(feature),
-                    coordinates: this.extractCoordinates(feature),
-                    centroid: this.calculateCentroid(feature)
-                }));
+        let result;
+        if (data.type === 'FeatureCollection') {
+            result = { ...data, features: data.features.map(f => ({ ...f, geometry: mapGeometry(f.geometry) })) };
+        } else if (data.type === 'Feature') {
+            result = { ...data, geometry: mapGeometry(data.geometry) };
+        } else {
+            result = mapGeometry(data);
+        }
+
+        delete result.bbox;
+        if (to === NZTM2000.srsName) {
+            result.crs = { type: 'name', properties: { name: 'urn:ogc:def:crs:EPSG::2193' } };
+        } else {
+            delete result.crs;
+        }
+        if (result.metadata) {
+            result.metadata = { ...result.metadata, srsName: to };
+        }
+        return result;
+    }
 
-            console.log(`Enhanced processing: 1 subject, ${this.neighborProperties.length} neighbors`);
+    /**
+     * Enhanced property processing for AR with mathematical fallback
+     */
+    processPropertiesForAR(geoJsonData, originLat, originLon) {
+        try {
+            // Subject is the parcel containing the origin, else the one with the nearest edge
+            const selection = this.selectSubjectFeature(geoJsonData.features, originLat, originLon);
+            this.setSubjectFeatures([selection.feature], geoJsonData.features, selection);
 
         } catch (error) {
             console.error('Enhanced property processing failed:', error);
@@ -126,10 +377,140 @@ class CoordinateProcessor {
         }
     }
 
+    /**
+     * Make one or more parcels the subject - several lots are dissolved into one outline
+     * Every other feature in allFeatures becomes a neighbour
+     */
+    setSubjectFeatures(features, allFeatures = this.downloadedCoordinates?.features || [], selection = {}) {
+        if (!features.length) {
+            throw new Error('At least one subject parcel is required');
+        }
+
+        const subjectFeature = features.length > 1 ? this.mergeFeatures(features) : features[0];
+        const neighbors = allFeatures.filter(f => !features.includes(f));
+
+        // Enhanced subject property processing
+        this.subjectProperty = {
+            feature: subjectFeature,
+            appellation: this.getAppellation(subjectFeature.properties),
+            area: this.calculatePropertyArea(subjectFeature),
+            parcels: features.map(feature => ({
+                feature,
+                id: feature.id ?? null,
+                appellation: this.getAppellation(feature.properties),
+                area: this.calculatePropertyArea(feature)
+            })),
+            coordinates: this.extractCoordinates(subjectFeature),
+            parts: this.extractParts(subjectFeature),
+            centroid: this.calculateCentroid(subjectFeature),
+            labelPoint: this.calculateLabelPoint(subjectFeature),
+            edges: this.calculateEdgeTable(subjectFeature),
+            envelope: this.calculateSetbackEnvelope(subjectFeature, neighbors),
+            titles: null, // filled in by lookupTitles
+            containsOrigin: selection.contained ?? true,
+            distance: selection.distance ?? 0
+        };
+
+        // Enhanced neighbor processing
+        this.neighborProperties = neighbors.map(feature => ({
+            appellation: this.getAppellation(feature.properties),
+            area: this.calculatePropertyArea(feature),
+            coordinates: this.extractCoordinates(feature),
+            parts: this.extractParts(feature),
+            centroid: this.calculateCentroid(feature)
+        }));
+
+        console.log(`Enhanced processing: ${features.length} subject parcel(s), ${this.neighborProperties.length} neighbors`);
+        return this.subjectProperty;
+    }
+
+    /**
+     * Records of Title for the subject parcels - a second WFS query against the titles layer
+     * Titles whose extent contains a parcel's label point are joined to it through the parcel's
+     * `titles` attribute; a listed title the layer doesn't return is kept with just its number.
+     * Title helpers come from title-records.js, shared with the cross-platform bridge
+     */
+    async lookupTitles() {
+        const subject = this.subjectProperty;
+        if (!subject || !this.titleConfig) return [];
+
+        const provider = this.getTitleProvider();
+        const records = new Map();
+        for (const parcel of subject.parcels) {
+            const label = this.calculateLabelPoint(parcel.feature);
+            const bbox = this.calculateBoundingBox(label.longitude, label.latitude, 1);
+            const listed = parseTitleNumbers(parcel.feature.properties?.titles);
+
+            const collection = await provider.fetchBoundaries(bbox);
+            const found = collection.features.filter(title =>
+                this.distanceToFeature(title, label.latitude, label.longitude) >= 0 &&
+                (!listed.length || listed.includes(title.properties?.title_no)));
+
+            const matches = found.map(title => toTitleRecord(title.properties || {}));
+            listed.filter(no => !matches.some(m => m.titleNo === no))
+                .forEach(titleNo => matches.push(toTitleRecord({ title_no: titleNo })));
+
+            matches.forEach(record => {
+                if (!records.has(record.titleNo)) records.set(record.titleNo, { ...record, parcels: [] });
+                records.get(record.titleNo).parcels.push(parcel.appellation);
+            });
+        }
+
+        const titles = [...records.values()];
+        // Selection may have changed while the request was in flight
+        if (this.subjectProperty === subject) {
+            subject.titles = titles;
+            if (this.arCoordinates) this.arCoordinates.subjectProperty.titles = titles;
+        }
+        return titles;
+    }
+
+    /**
+     * Overlay polygons (flood, coastal, liquefaction extents...) around a feature, fetched through
+     * the same provider plumbing as the parcels and returned in EPSG:4326
+     */
+    async fetchOverlayFeatures(config, feature, marginMeters = 50) {
+        const key = config.id || `${config.type}|${config.url}|${config.typeName}`;
+        if (!this.overlayProviders.has(key)) {
+            this.overlayProviders.set(key, createBoundaryProvider({ type: 'wfs', ...config }, this.apiKey, this));
+        }
+
+        const points = this.extractParts(feature).flatMap(part => part.outer);
+        const lons = points.map(p => p.longitude);
+        const lats = points.map(p => p.latitude);
+        const corner = this.calculateBoundingBox(Math.min(...lons), Math.min(...lats), marginMeters);
+        const opposite = this.calculateBoundingBox(Math.max(...lons), Math.max(...lats), marginMeters);
+        const bbox = { minLon: corner.minLon, minLat: corner.minLat, maxLon: opposite.maxLon, maxLat: opposite.maxLat };
+
+        return this.overlayProviders.get(key).fetchBoundaries(bbox);
+    }
+
+    /**
+     * Fetch every overlay and intersect it with the subject; a failed source reports its error
+     */
+    async analyzeOverlays(overlays, feature = this.subjectProperty?.feature) {
+        if (!feature) return [];
+
+        return Promise.all(overlays.map(async overlay => {
+            try {
+                const collection = await this.fetchOverlayFeatures(overlay, feature);
+                return {
+                    overlay,
+                    features: collection,
+                    coverage: this.calculateOverlayCoverage(feature, collection.features, overlay)
+                };
+            } catch (error) {
+                console.warn(`Overlay ${overlay.name || overlay.id} unavailable:`, error);
+                return { overlay, features: null, coverage: null, error };
+            }
+        }));
+    }
+
     /**
      * Full property boundary conversion for AR - returns complete property polygons
+     * Vertex heights come from the elevation source; originAltitude null samples the ground there
      */
-    convertToARCoordinates(originLat, originLon, originAltitude = 0) {
+    async convertToARCoordinates(originLat, originLon, originAltitude = null) {
         if (!this.subjectProperty) {
             throw new Error('No subject property data available for AR conversion');
         }
@@ -143,37 +524,87 @@ class CoordinateProcessor {
                 throw new Error('Subject property needs at least 3 boundary points for AR visualization');
             }
 
-            // Use ALL boundary points for complete property polygon visualization
-            const fullBoundaryPoints = this.optimizeBoundaryForAR(coords);
+            const origin = {
+                latitude: originLat,
+                longitude: originLon,
+                altitude: originAltitude ?? 0
+            };
+
+            // Every part and hole; parts[0] is the largest and doubles as the legacy "boundaries"
+            const subjectParts = this.convertPartsForAR(this.subjectProperty.parts);
             
             // Prepare neighbor boundaries too
-            const neighborBoundaries = this.neighborProperties.map(neighbor => 
-                this.optimizeBoundaryForAR(neighbor.coordinates)
+            const neighborParts = this.neighborProperties.map(neighbor =>
+                this.convertPartsForAR(neighbor.parts)
             );
 
+            // Buildable envelope rings ride along as extra parts
+            const envelopeParts = this.envelopeToParts(this.subjectProperty.envelope);
+
+            // Follow the ground, then give every vertex local x/y/z metres about the origin (see gpsToENU)
+            const allParts = [subjectParts, envelopeParts, ...neighborParts];
+            const terrain = await this.sampleTerrain(allParts, origin, originAltitude);
+            allParts.forEach(parts => this.localizeParts(parts, origin, terrain.heights));
+            const fullBoundaryPoints = subjectParts[0].boundaries;
+
+            const holeCount = subjectParts.reduce((sum, part) => sum + part.holes.length, 0);
+
             // Complete AR coordinate structure with full property boundaries
             this.arCoordinates = {
                 type: "fullBoundaries",
-                origin: {
-                    latitude: originLat,
-                    longitude: originLon,
-                    altitude: originAltitude
-                },
+                version: "2.0",
+                origin: origin,
                 subjectProperty: {
                     appellation: this.subjectProperty.appellation,
+                    parcels: this.subjectProperty.parcels.map(({ id, appellation, area }) => ({ id, appellation, area })),
                     boundaries: fullBoundaryPoints,
-                    area: this.subjectProperty.area
+                    parts: subjectParts,
+                    edges: this.subjectProperty.edges.map(edge => ({
+                        ...edge,
+                        midpoint: this.localizeRing([edge.midpoint], origin)[0]
+                    })),
+                    envelope: this.subjectProperty.envelope ? {
+                        boundaries: envelopeParts[0]?.boundaries || [],
+                        parts: envelopeParts,
+                        area: this.subjectProperty.envelope.area,
+                        setbacks: this.subjectProperty.envelope.edges
+                    } : null,
+                    area: this.subjectProperty.area,
+                    titles: this.subjectProperty.titles || []
                 },
-                neighborProperties: neighborBoundaries.map((boundary, index) => ({
+                neighborProperties: neighborParts.map((parts, index) => ({
                     appellation: this.neighborProperties[index].appellation,
-                    boundaries: boundary,
+                    boundaries: parts[0]?.boundaries || [],
+                    parts: parts,
                     area: this.neighborProperties[index].area
                 })),
                 metadata: {
                     subjectAppellation: this.subjectProperty.appellation,
                     area: this.subjectProperty.area,
+                    areaMethod: "WGS84 ellipsoidal (equal-area), holes subtracted",
+                    areaAccuracy: "<0.001% vs geodesic for parcels under 1 km",
                     boundaryPointCount: fullBoundaryPoints.length,
+                    partCount: subjectParts.length,
+                    holeCount: holeCount,
                     neighborCount: this.neighborProperties.length,
+                    simplification: {
+                        method: this.simplification.method,
+                        toleranceMeters: this.simplification.toleranceMeters,
+                        maxDeviationMeters: Math.max(0, ...subjectParts.map(part => part.maxDeviation))
+                    },
+                    terrain: {
+                        source: terrain.source,
+                        densifyMeters: terrain.densifyMeters,
+                        sampledPoints: terrain.sampledPoints,
+                        missingPoints: terrain.missingPoints,
+                        originAltitude: origin.altitude
+                    },
+                    localFrame: {
+                        type: "ENU",
+                        datum: "WGS84",
+                        axes: "x = east, y = up, z = -north (metres from origin)",
+                        method: "geodetic → ECEF → ENU"
+                    },
                     conversionMethod: "Full Property Boundaries (Complete Polygons)",
                     accuracy: "gps",
                     timestamp: new Date().toISOString()
@@ -189,96 +620,271 @@ class CoordinateProcessor {
         }
     }
 
+    /**
+     * Optimize every part (outer ring + holes) for AR, dropping degenerate rings
+     * Each part reports the largest deviation (metres) simplification introduced
+     */
+    convertPartsForAR(parts) {
+        return (parts || [])
+            .filter(part => part.outer.length >= 3)
+            .map(part => {
+                const outer = this.simplifyBoundary(part.outer);
+                const holes = part.holes
+                    .filter(hole => hole.length >= 3)
+                    .map(hole => this.simplifyBoundary(hole));
+                return {
+                    boundaries: outer.points,
+                    holes: holes.map(hole => hole.points),
+                    maxDeviation: Math.max(outer.maxDeviation, ...holes.map(hole => hole.maxDeviation))
+                };
+            });
+    }
+
+    /**
+     * Densify every ring (unless the source is flat) and sample ground heights in one batch
+     * Sets origin.altitude from the ground when originAltitude is null; returns heights keyed by vertex
+     */
+    async sampleTerrain(partLists, origin, originAltitude) {
+        const source = this.getElevationSource();
+        const flat = !source || source.isFlat();
+
+        if (!flat) {
+            partLists.forEach(parts => parts.forEach(part => {
+                part.boundaries = this.densifyRing(part.boundaries, this.densifyMeters);
+                part.holes = part.holes.map(hole => this.densifyRing(hole, this.densifyMeters));
+            }));
+        }
+
+        const points = partLists.flatMap(parts => parts.flatMap(part => [part.boundaries, ...part.holes])).flat();
+        const heights = new Map();
+        let originHeight = null;
+
+        if (source) {
+            try {
+                const samples = await source.sampleMany([origin, ...points]);
+                originHeight = samples[0];
+                points.forEach((point, i) => {
+                    if (samples[i + 1] !== null && samples[i + 1] !== undefined) heights.set(point, samples[i + 1]);
+                });
+            } catch (error) {
+                console.warn(`Elevation source ${source.name} failed, using flat terrain:`, error);
+            }
+        }
+
+        origin.altitude = originAltitude ?? originHeight ?? 0;
+
+        return {
+            heights,
+            source: source ? source.name : 'none',
+            densifyMeters: flat ? null : this.densifyMeters,
+            sampledPoints: points.length,
+            missingPoints: points.length - heights.size
+        };
+    }
+
+    /**
+     * Insert vertices so no edge of the closed ring is longer than maxSegmentMeters
+     */
+    densifyRing(points, maxSegmentMeters) {
+        if (!maxSegmentMeters || points.length < 2) return points;
+
+        const dense = [];
+        points.forEach((point, i) => {
+            const next = points[(i + 1) % points.length];
+            const length = this.calculateDistance(point.latitude, point.longitude, next.latitude, next.longitude);
+            const steps = Math.ceil(length / maxSegmentMeters);
+
+            dense.push(point);
+            for (let k = 1; k < steps; k++) {
+                dense.push({
+                    latitude: point.latitude + (next.latitude - point.latitude) * k / steps,
+                    longitude: point.longitude + (next.longitude - point.longitude) * k / steps
+                });
+            }
+        });
+        return dense;
+    }
+
+    /**
+     * Replace each part's rings with localized vertices
+     */
+    localizeParts(parts, origin, heights) {
+        parts.forEach(part => {
+            part.boundaries = this.localizeRing(part.boundaries, origin, heights);
+            part.holes = part.holes.map(hole => this.localizeRing(hole, origin, heights));
+        });
+    }
+
+    /**
+     * Attach altitude and local x/y/z metres to each vertex; unsampled vertices sit at the origin altitude
+     */
+    localizeRing(points, origin, heights = new Map()) {
+        if (!origin) return points;
+
+        return points.map(point => {
+            const altitude = heights.get(point) ?? point.altitude ?? origin.altitude;
+            const enu = this.gpsToENU(point.latitude, point.longitude, altitude,
+                origin.latitude, origin.longitude, origin.altitude);
+            return {
+                latitude: point.latitude,
+                longitude: point.longitude,
+                altitude: altitude,
+                x: enu.x,
+                y: enu.y,
+                z: enu.z
+            };
+        });
+    }
+
     /**
      * Optimize boundary points for AR rendering - reduces density if needed but keeps shape
      */
-    optimizeBoundaryForAR(coordinates) {
+    optimizeBoundaryForAR(coordinates, options) {
+        return this.simplifyBoundary(coordinates, options).points;
+    }
+
+    /**
+     * Simplify a closed ring in a local metric plane with a tolerance in metres
+     * Returns { points, maxDeviation, method, toleranceMeters } - maxDeviation is the largest
+     * distance from any dropped vertex to the simplified outline, never above the tolerance
+     */
+    simplifyBoundary(coordinates, options = {}) {
         if (!coordinates || coordinates.length < 3) {
             throw new Error('Need at least 3 coordinates for boundary optimization');
         }
 
+        const settings = { ...this.simplification, ...options };
+
         // Remove duplicate consecutive coordinates
         const cleanCoords = this.removeDuplicateCoordinates(coordinates);
-        
+        const result = {
+            points: cleanCoords,
+            maxDeviation: 0,
+            method: 'none',
+            toleranceMeters: settings.toleranceMeters
+        };
+
         // If reasonable number of points, use them all
-        if (cleanCoords.length <= 50) {
-            return cleanCoords;
+        if (cleanCoords.length <= settings.maxPoints || cleanCoords.length <= 3) {
+            return result;
         }
-        
-        // For very complex boundaries, use Douglas-Peucker simplification
-        // but keep enough detail to maintain property shape accuracy
-        return this.douglasPeuckerSimplify(cleanCoords, 0.000001); // Very small tolerance to preserve shape
+
+        const proj = this.localProjector(cleanCoords[0].longitude, cleanCoords[0].latitude);
+        const projected = cleanCoords.map(c => proj.forward([c.longitude, c.latitude]));
+
+        const simplified = settings.method === 'visvalingam'
+            ? this.visvalingamWhyattRing(projected, settings.toleranceMeters)
+            : this.douglasPeuckerRing(projected, settings.toleranceMeters);
+
+        return {
+            ...result,
+            points: simplified.indices.map(i => cleanCoords[i]),
+            maxDeviation: simplified.maxDeviation,
+            method: settings.method === 'visvalingam' ? 'visvalingam' : 'douglas-peucker'
+        };
     }
 
     /**
-     * Douglas-Peucker line simplification algorithm
+     * Douglas-Peucker line simplification on {latitude, longitude} points, tolerance in metres
      */
-    douglasPeuckerSimplify(points, tolerance) {
+    douglasPeuckerSimplify(points, toleranceMeters) {
         if (points.length <= 2) return points;
-        
+
+        const proj = this.localProjector(points[0].longitude, points[0].latitude);
+        const projected = points.map(c => proj.forward([c.longitude, c.latitude]));
+        const keep = new Set([0, points.length - 1]);
+        this.douglasPeuckerRange(projected, 0, points.length - 1, toleranceMeters, keep);
+
+        return [...keep].sort((a, b) => a - b).map(i => points[i]);
+    }
+
+    /**
+     * Ring variant: split at the vertex farthest from the first so both halves are open lines
+     */
+    douglasPeuckerRing(projected, toleranceMeters) {
+        let far = 1;
+        let farDistSq = 0;
+        projected.forEach((p, i) => {
+            const dx = p[0] - projected[0][0], dy = p[1] - projected[0][1];
+            if (dx * dx + dy * dy > farDistSq) { farDistSq = dx * dx + dy * dy; far = i; }
+        });
+
+        const closed = projected.concat([projected[0]]);
+        const keep = new Set([0, far]);
+        const dev1 = this.douglasPeuckerRange(closed, 0, far, toleranceMeters, keep);
+        const dev2 = this.douglasPeuckerRange(closed, far, closed.length - 1, toleranceMeters, keep);
+        keep.delete(closed.length - 1);
+
+        return {
+            indices: [...keep].sort((a, b) => a - b),
+            maxDeviation: Math.max(dev1, dev2)
+        };
+    }
+
+    /**
+     * Recursive Douglas-Peucker over projected[start..end]; returns the max deviation accepted
+     */
+    douglasPeuckerRange(projected, start, end, toleranceMeters, keep) {
+        if (end - start < 2) return 0;
+
         // Find the point with maximum distance from line segment
         let maxDistance = 0;
-        let maxIndex = 0;
-        
-        for (let i = 1; i < points.length - 1; i++) {
-            const distance = this.perpendicularDistance(
-                points[i], 
-                points[0], 
-                points[points.length - 1]
-            );
+        let maxIndex = start;
+        for (let i = start + 1; i < end; i++) {
+            const distance = Math.sqrt(this.segmentDistanceSq(projected[i], projected[start], projected[end]));
             if (distance > maxDistance) {
                 maxDistance = distance;
                 maxIndex = i;
             }
         }
-        
-        // If max distance is greater than tolerance, recursively simplify
-        if (maxDistance > tolerance) {
-            const left = this.douglasPeuckerSimplify(points.slice(0, maxIndex + 1), tolerance);
-            const right = this.douglasPeuckerSimplify(points.slice(maxIndex), tolerance);
-            
-            // Combine results (remove duplicate point at junction)
-            return left.slice(0, -1).concat(right);
-        } else {
-            // Return simplified line
-            return [points[0], points[points.length - 1]];
-        }
+
+        // Within tolerance - the whole span collapses to one segment
+        if (maxDistance <= toleranceMeters) return maxDistance;
+
+        keep.add(maxIndex);
+        return Math.max(
+            this.douglasPeuckerRange(projected, start, maxIndex, toleranceMeters, keep),
+            this.douglasPeuckerRange(projected, maxIndex, end, toleranceMeters, keep)
+        );
     }
 
     /**
-     * Calculate perpendicular distance from point to line segment
+     * Visvalingam-Whyatt on a closed projected ring: drop the smallest effective-area vertex
+     * first, but only while every original vertex stays within toleranceMeters of the outline
      */
-    perpendicularDistance(point, lineStart, lineEnd) {
-        const A = point.longitude - lineStart.longitude;
-        const B = point.latitude - lineStart.latitude;
-        const C = lineEnd.longitude - lineStart.longitude;
-        const D = lineEnd.latitude - lineStart.latitude;
-        
-        const dot = A * C + B * D;
-        const lenSq = C * C + D * D;
-        
-        if (lenSq === 0) {
-            // Line start and end are the same point
-            return Math.sqrt(A * A + B * B);
-        }
-        
-        const param = dot / lenSq;
-        
-        let xx, yy;
-        if (param < 0) {
-            xx = lineStart.longitude;
-            yy = lineStart.latitude;
-        } else if (param > 1) {
-            xx = lineEnd.longitude;
-            yy = lineEnd.latitude;
-        } else {
-            xx = lineStart.longitude + param * C;
-            yy = lineStart.latitude + param * D;
+    visvalingamWhyattRing(projected, toleranceMeters) {
+        const n = projected.length;
+        const kept = projected.map((_, i) => i);
+        let maxDeviation = 0;
+
+        const triangleArea = (a, b, c) => Math.abs(
+            (b[0] - a[0]) * (c[1] - a[1]) - (c[0] - a[0]) * (b[1] - a[1])
+        ) / 2;
+
+        // Deviation of every original vertex strictly between prev and next from segment prev-next
+        const spanDeviation = (prev, next) => {
+            let dev = 0;
+            for (let i = (prev + 1) % n; i !== next; i = (i + 1) % n) {
+                dev = Math.max(dev, Math.sqrt(this.segmentDistanceSq(projected[i], projected[prev], projected[next])));
+            }
+            return dev;
+        };
+
+        while (kept.length > 3) {
+            const candidates = kept.map((index, k) => {
+                const prev = kept[(k - 1 + kept.length) % kept.length];
+                const next = kept[(k + 1) % kept.length];
+                return { k, prev, next, area: triangleArea(projected[prev], projected[index], projected[next]) };
+            }).sort((a, b) => a.area - b.area);
+
+            const removable = candidates.find(c => spanDeviation(c.prev, c.next) <= toleranceMeters);
+            if (!removable) break;
+
+            maxDeviation = Math.max(maxDeviation, spanDeviation(removable.prev, removable.next));
+            kept.splice(removable.k, 1);
         }
-        
-        const dx = point.longitude - xx;
-        const dy = point.latitude - yy;
-        return Math.sqrt(dx * dx + dy * dy);
+
+        return { indices: kept, maxDeviation };
     }
 
     /**
@@ -517,40 +1123,105 @@ class CoordinateProcessor {
     }
 
     /**
-     * Enhanced GPS to ENU (East-North-Up) coordinate transformation
-     * Uses mathematical conversion for AR positioning when GPS AR not available
+     * WGS84 geodetic → local East-North-Up about an origin, via ECEF
+     * Returns AR axes (x = east, y = up, z = -north) plus the raw east/north/up metres
      */
     gpsToENU(lat, lon, alt, originLat, originLon, originAlt) {
-        // Enhanced mathematical transformation with high precision
-        const R = 6378137.0; // WGS84 Earth radius in meters
-        
-        // Convert to radians with enhanced precision
-        const latRad = lat * Math.PI / 180.0;
-        const lonRad = lon * Math.PI / 180.0;
-        const originLatRad = originLat * Math.PI / 180.0;
-        const originLonRad = originLon * Math.PI / 180.0;
-        
-        // Enhanced differential calculations
-        const dLat = latRad - originLatRad;
-        const dLon = lonRad - originLonRad;
-        const dAlt = alt - originAlt;
-        
-        // Enhanced ENU transformation with Earth curvature compensation
-        const cosLat = Math.cos(originLatRad);
-        const sinLat = Math.sin(originLatRad);
-        
-        const east = R * dLon * cosLat;
-        const north = R * dLat;
-        const up = dAlt;
-        
+        const [x, y, z] = this.geodeticToECEF(lat, lon, alt);
+        const [x0, y0, z0] = this.geodeticToECEF(originLat, originLon, originAlt);
+        const dx = x - x0, dy = y - y0, dz = z - z0;
+
+        const phi = originLat * Math.PI / 180;
+        const lambda = originLon * Math.PI / 180;
+        const sinPhi = Math.sin(phi), cosPhi = Math.cos(phi);
+        const sinLambda = Math.sin(lambda), cosLambda = Math.cos(lambda);
+
+        const east = -sinLambda * dx + cosLambda * dy;
+        const north = -sinPhi * cosLambda * dx - sinPhi * sinLambda * dy + cosPhi * dz;
+        const up = cosPhi * cosLambda * dx + cosPhi * sinLambda * dy + sinPhi * dz;
+
         return {
             x: east,
             y: up,      // AR uses Y as up
             z: -north,  // AR uses negative Z as north
+            east,
+            north,
+            up,
             distance: Math.sqrt(east * east + north * north + up * up)
         };
     }
 
+    /**
+     * Inverse of gpsToENU: local east/north/up metres → { latitude, longitude, altitude }
+     */
+    enuToGPS(east, north, up, originLat, originLon, originAlt) {
+        const [x0, y0, z0] = this.geodeticToECEF(originLat, originLon, originAlt);
+
+        const phi = originLat * Math.PI / 180;
+        const lambda = originLon * Math.PI / 180;
+        const sinPhi = Math.sin(phi), cosPhi = Math.cos(phi);
+        const sinLambda = Math.sin(lambda), cosLambda = Math.cos(lambda);
+
+        // Transpose of the ECEF→ENU rotation
+        const dx = -sinLambda * east - sinPhi * cosLambda * north + cosPhi * cosLambda * up;
+        const dy = cosLambda * east - sinPhi * sinLambda * north + cosPhi * sinLambda * up;
+        const dz = cosPhi * north + sinPhi * up;
+
+        return this.ecefToGeodetic(x0 + dx, y0 + dy, z0 + dz);
+    }
+
+    /**
+     * WGS84 geodetic (degrees, metres) → Earth-centred Earth-fixed [x, y, z] metres
+     */
+    geodeticToECEF(lat, lon, alt = 0) {
+        const a = 6378137.0;              // WGS84 semi-major axis
+        const e2 = 0.00669437999014;      // WGS84 first eccentricity squared
+        const phi = lat * Math.PI / 180;
+        const lambda = lon * Math.PI / 180;
+        const sinPhi = Math.sin(phi), cosPhi = Math.cos(phi);
+        const N = a / Math.sqrt(1 - e2 * sinPhi * sinPhi); // prime vertical radius
+
+        return [
+            (N + alt) * cosPhi * Math.cos(lambda),
+            (N + alt) * cosPhi * Math.sin(lambda),
+            (N * (1 - e2) + alt) * sinPhi
+        ];
+    }
+
+    /**
+     * ECEF [x, y, z] metres → WGS84 { latitude, longitude, altitude }
+     * Bowring's parametric start plus Newton refinement - sub-millimetre near the surface
+     */
+    ecefToGeodetic(x, y, z) {
+        const a = 6378137.0;
+        const e2 = 0.00669437999014;
+        const b = a * Math.sqrt(1 - e2);
+        const ep2 = (a * a - b * b) / (b * b); // second eccentricity squared
+
+        const p = Math.sqrt(x * x + y * y);
+        const lambda = Math.atan2(y, x);
+
+        const theta = Math.atan2(z * a, p * b);
+        let phi = Math.atan2(
+            z + ep2 * b * Math.pow(Math.sin(theta), 3),
+            p - e2 * a * Math.pow(Math.cos(theta), 3)
+        );
+
+        let N, h;
+        for (let i = 0; i < 3; i++) {
+            const sinPhi = Math.sin(phi);
+            N = a / Math.sqrt(1 - e2 * sinPhi * sinPhi);
+            h = Math.abs(Math.cos(phi)) > 1e-10 ? p / Math.cos(phi) - N : Math.abs(z) / Math.abs(sinPhi) - N * (1 - e2);
+            phi = Math.atan2(z, p * (1 - e2 * N / (N + h)));
+        }
+
+        return {
+            latitude: phi * 180 / Math.PI,
+            longitude: lambda * 180 / Math.PI,
+            altitude: h
+        };
+    }
+
     /**
      * Enhanced accuracy calculation based on distance and method
      */
@@ -561,91 +1232,521 @@ class CoordinateProcessor {
     }
 
     /**
-     * Enhanced coordinate extraction with validation
+     * Outer ring of the largest part as {latitude, longitude} points
      */
     extractCoordinates(feature) {
+        const parts = this.extractParts(feature);
+        return parts.length ? parts[0].outer : [];
+    }
+
+    /**
+     * Every part of a Polygon/MultiPolygon with its outer ring and holes, largest part first
+     */
+    extractParts(feature) {
         if (!feature || !feature.geometry) return [];
-        
+
         try {
-            if (feature.geometry.type === 'Polygon') {
-                return feature.geometry.coordinates[0].map(coord => ({
-                    latitude: coord[1],
-                    longitude: coord[0]
-                }));
-            } else if (feature.geometry.type === 'MultiPolygon') {
-                // Enhanced: Use largest polygon
-                let largestPoly = feature.geometry.coordinates[0];
-                let maxArea = 0;
-                
-                feature.geometry.coordinates.forEach(poly => {
-                    const area = this.calculatePolygonArea(poly[0]);
-                    if (area > maxArea) {
-                        maxArea = area;
-                        largestPoly = poly;
-                    }
-                });
-                
-                return largestPoly[0].map(coord => ({
-                    latitude: coord[1],
-                    longitude: coord[0]
-                }));
-            }
+            const toPoints = ring => ring.map(coord => ({
+                latitude: coord[1],
+                longitude: coord[0]
+            }));
+
+            return this.getPolygons(feature)
+                .filter(rings => rings[0] && rings[0].length >= 3)
+                .map(rings => ({
+                    outer: toPoints(rings[0]),
+                    holes: rings.slice(1).map(toPoints),
+                    area: this.calculateGeodesicArea({ type: 'Polygon', coordinates: rings })
+                }))
+                .sort((a, b) => b.area - a.area);
         } catch (error) {
             console.warn('Error extracting coordinates:', error);
         }
-        
+
+        return [];
+    }
+
+    /**
+     * Polygons of a Polygon/MultiPolygon feature as arrays of [lon, lat] rings
+     */
+    getPolygons(feature) {
+        const geometry = feature?.geometry;
+        if (!geometry) return [];
+        if (geometry.type === 'Polygon') return [geometry.coordinates];
+        if (geometry.type === 'MultiPolygon') return geometry.coordinates;
         return [];
     }
 
     /**
-     * Enhanced centroid calculation
+     * Local tangent-plane projection (metres) around an origin - accurate to mm over a parcel
+     */
+    localProjector(originLon, originLat) {
+        const R = 6371008.8;
+        const toRad = Math.PI / 180;
+        const cosLat = Math.cos(originLat * toRad);
+        return {
+            forward: ([lon, lat]) => [
+                (lon - originLon) * toRad * R * cosLat,
+                (lat - originLat) * toRad * R
+            ],
+            inverse: ([x, y]) => [
+                originLon + x / (R * cosLat * toRad),
+                originLat + y / (R * toRad)
+            ]
+        };
+    }
+
+    /**
+     * Area-weighted centroid over every part, holes subtracted
      */
     calculateCentroid(feature) {
-        const coords = this.extractCoordinates(feature);
-        if (coords.length === 0) return { latitude: 0, longitude: 0 };
-        
-        const latSum = coords.reduce((sum, coord) => sum + coord.latitude, 0);
-        const lonSum = coords.reduce((sum, coord) => sum + coord.longitude, 0);
-        
+        const polygons = this.getPolygons(feature).filter(p => p[0] && p[0].length >= 3);
+        if (!polygons.length) return { latitude: 0, longitude: 0 };
+
+        const [lon0, lat0] = polygons[0][0][0];
+        const proj = this.localProjector(lon0, lat0);
+
+        let areaSum = 0, cx = 0, cy = 0;
+        polygons.forEach(rings => rings.forEach((ring, ringIndex) => {
+            const pts = ring.map(proj.forward);
+            let a = 0, x = 0, y = 0;
+            for (let i = 0; i < pts.length; i++) {
+                const [x1, y1] = pts[i];
+                const [x2, y2] = pts[(i + 1) % pts.length];
+                const cross = x1 * y2 - x2 * y1;
+                a += cross;
+                x += (x1 + x2) * cross;
+                y += (y1 + y2) * cross;
+            }
+            // Outer rings add, holes subtract, whatever their winding
+            const sign = (ringIndex === 0 ? 1 : -1) * Math.sign(a);
+            areaSum += sign * a / 2;
+            cx += sign * x / 6;
+            cy += sign * y / 6;
+        }));
+
+        if (Math.abs(areaSum) < 1e-9) {
+            // Degenerate (zero-area) geometry - fall back to the vertex mean without the closing duplicate
+            const ring = polygons[0][0];
+            const open = this.isClosedRing(ring) ? ring.slice(0, -1) : ring;
+            return {
+                latitude: open.reduce((sum, c) => sum + c[1], 0) / open.length,
+                longitude: open.reduce((sum, c) => sum + c[0], 0) / open.length
+            };
+        }
+
+        const [longitude, latitude] = proj.inverse([cx / areaSum, cy / areaSum]);
+        return { latitude, longitude };
+    }
+
+    isClosedRing(ring) {
+        const first = ring[0], last = ring[ring.length - 1];
+        return ring.length > 1 && first[0] === last[0] && first[1] === last[1];
+    }
+
+    /**
+     * Pole of inaccessibility of the largest part - a label point guaranteed inside the parcel
+     * (polylabel grid search, precision in metres). Also returns its distance to the nearest edge.
+     */
+    calculateLabelPoint(feature, precision = 0.1) {
+        const polygons = this.getPolygons(feature).filter(p => p[0] && p[0].length >= 3);
+        if (!polygons.length) return { ...this.calculateCentroid(feature), edgeDistance: 0 };
+
+        const largest = polygons.reduce((best, poly) =>
+            this.calculatePolygonArea(poly[0]) > this.calculatePolygonArea(best[0]) ? poly : best);
+
+        const [lon0, lat0] = largest[0][0];
+        const proj = this.localProjector(lon0, lat0);
+        const rings = largest.map(ring => ring.map(proj.forward));
+
+        const xs = rings[0].map(p => p[0]), ys = rings[0].map(p => p[1]);
+        const minX = Math.min(...xs), minY = Math.min(...ys);
+        const width = Math.max(...xs) - minX, height = Math.max(...ys) - minY;
+        const cellSize = Math.min(width, height);
+
+        const makeCell = (x, y, h) => {
+            const d = this.signedDistanceToRings([x, y], rings);
+            return { x, y, h, d, max: d + h * Math.SQRT2 };
+        };
+
+        if (cellSize === 0) {
+            const [longitude, latitude] = proj.inverse([minX, minY]);
+            return { latitude, longitude, edgeDistance: 0 };
+        }
+
+        const cells = [];
+        for (let x = minX; x < minX + width; x += cellSize) {
+            for (let y = minY; y < minY + height; y += cellSize) {
+                cells.push(makeCell(x + cellSize / 2, y + cellSize / 2, cellSize / 2));
+            }
+        }
+
+        // Seed with the area centroid and bbox centre
+        const centroid = this.calculateCentroid({ geometry: { type: 'Polygon', coordinates: largest } });
+        const [ccx, ccy] = proj.forward([centroid.longitude, centroid.latitude]);
+        let best = makeCell(ccx, ccy, 0);
+        const bboxCell = makeCell(minX + width / 2, minY + height / 2, 0);
+        if (bboxCell.d > best.d) best = bboxCell;
+
+        while (cells.length) {
+            // Expand the most promising cell first
+            let bestIndex = 0;
+            for (let i = 1; i < cells.length; i++) {
+                if (cells[i].max > cells[bestIndex].max) bestIndex = i;
+            }
+            const cell = cells.splice(bestIndex, 1)[0];
+
+            if (cell.d > best.d) best = cell;
+            if (cell.max - best.d <= precision) continue;
+
+            const h = cell.h / 2;
+            cells.push(
+                makeCell(cell.x - h, cell.y - h, h),
+                makeCell(cell.x + h, cell.y - h, h),
+                makeCell(cell.x - h, cell.y + h, h),
+                makeCell(cell.x + h, cell.y + h, h)
+            );
+        }
+
+        const [longitude, latitude] = proj.inverse([best.x, best.y]);
+        return { latitude, longitude, edgeDistance: best.d };
+    }
+
+    /**
+     * Signed distance (metres, positive inside) from a projected point to projected rings
+     */
+    signedDistanceToRings(point, rings) {
+        let inside = false;
+        let minDistSq = Infinity;
+
+        rings.forEach(ring => {
+            for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+                const a = ring[i], b = ring[j];
+                if ((a[1] > point[1]) !== (b[1] > point[1]) &&
+                    point[0] < (b[0] - a[0]) * (point[1] - a[1]) / (b[1] - a[1]) + a[0]) {
+                    inside = !inside;
+                }
+                minDistSq = Math.min(minDistSq, this.segmentDistanceSq(point, a, b));
+            }
+        });
+
+        return (inside ? 1 : -1) * Math.sqrt(minDistSq);
+    }
+
+    /**
+     * Share of a parcel covered by overlay polygons - each overlay polygon is clipped to the parcel
+     * with turf.intersect and the pieces dissolved, so overlapping overlays can't double count;
+     * options.classKey adds a per-class breakdown (e.g. liquefaction category)
+     * Returns { fraction, area (m²), byClass: { value: fraction } }
+     */
+    calculateOverlayCoverage(feature, overlayFeatures, options = {}) {
+        const polygons = this.getPolygons(feature).filter(rings => rings[0]?.length >= 4);
+        if (!polygons.length) return { fraction: 0, area: 0, byClass: {} };
+
+        const subject = turf.multiPolygon(polygons);
+        const subjectArea = turf.area(subject);
+        if (!subjectArea) return { fraction: 0, area: 0, byClass: {} };
+
+        // Clip every overlay polygon to the parcel, grouped by class
+        const pieces = [];
+        overlayFeatures.forEach(overlay => this.getPolygons(overlay).forEach(rings => {
+            if (!rings[0] || rings[0].length < 4) return;
+            try {
+                const clipped = turf.intersect(subject, turf.polygon(rings));
+                if (!clipped) return;
+                const value = options.classKey ? overlay.properties?.[options.classKey] : null;
+                pieces.push({ clipped, value: value ?? null });
+            } catch (error) {
+                console.warn('Skipping invalid overlay polygon:', error.message);
+            }
+        }));
+
+        const dissolvedArea = list => {
+            if (!list.length) return 0;
+            const merged = list.slice(1).reduce((union, piece) => turf.union(union, piece) || union, list[0]);
+            return turf.area(merged);
+        };
+
+        const fraction = Math.min(1, dissolvedArea(pieces.map(p => p.clipped)) / subjectArea);
+        const byClass = {};
+        [...new Set(pieces.filter(p => p.value !== null).map(p => String(p.value)))].forEach(value => {
+            const ofClass = pieces.filter(p => String(p.value) === value).map(p => p.clipped);
+            byClass[value] = Math.min(1, dissolvedArea(ofClass) / subjectArea);
+        });
+
         return {
-            latitude: latSum / coords.length,
-            longitude: lonSum / coords.length
+            fraction,
+            area: fraction * this.calculatePropertyArea(feature),
+            byClass
         };
     }
 
+    segmentDistanceSq(p, a, b) {
+        let x = a[0], y = a[1];
+        let dx = b[0] - x, dy = b[1] - y;
+        if (dx !== 0 || dy !== 0) {
+            const t = ((p[0] - x) * dx + (p[1] - y) * dy) / (dx * dx + dy * dy);
+            if (t > 1) { x = b[0]; y = b[1]; }
+            else if (t > 0) { x += dx * t; y += dy * t; }
+        }
+        dx = p[0] - x;
+        dy = p[1] - y;
+        return dx * dx + dy * dy;
+    }
+
+    /**
+     * Signed distance from a GPS point to a feature boundary (metres, positive inside)
+     * Takes the best over every part, so a point inside any part counts as inside
+     */
+    distanceToFeature(feature, latitude, longitude) {
+        const proj = this.localProjector(longitude, latitude);
+        let best = -Infinity;
+        this.getPolygons(feature).forEach(rings => {
+            const d = this.signedDistanceToRings([0, 0], rings.map(ring => ring.map(proj.forward)));
+            if (d > best) best = d;
+        });
+        return best;
+    }
+
+    /**
+     * Pick the subject parcel for a query point: containment first (smallest containing parcel
+     * wins for overlaps), falling back to the parcel whose edge is nearest
+     */
+    selectSubjectFeature(features, latitude, longitude) {
+        let contained = null;
+        let nearest = null;
+
+        features.forEach(feature => {
+            try {
+                const d = this.distanceToFeature(feature, latitude, longitude);
+                if (!Number.isFinite(d)) return;
+
+                if (d >= 0) {
+                    const area = this.calculatePropertyArea(feature);
+                    if (!contained || area < contained.area) contained = { feature, area };
+                } else if (!nearest || -d < nearest.distance) {
+                    nearest = { feature, distance: -d };
+                }
+            } catch (e) {
+                console.warn('Error processing feature for subject selection:', e);
+            }
+        });
+
+        if (contained) return { feature: contained.feature, contained: true, distance: 0 };
+        if (nearest) return { feature: nearest.feature, contained: false, distance: nearest.distance };
+        return { feature: features[0], contained: false, distance: Infinity };
+    }
+
     /**
-     * Enhanced area calculation
+     * Dissolve several parcels into one feature - shared boundaries cancel out
+     * Vertices within snapMeters count as the same survey mark; T-junctions are split so edges line up
+     */
+    mergeFeatures(features, snapMeters = 0.01) {
+        const polygons = features.flatMap(f => this.getPolygons(f)).filter(rings => rings[0]?.length >= 3);
+        if (!polygons.length) {
+            throw new Error('No polygon parcels to merge');
+        }
+
+        const proj = this.localProjector(polygons[0][0][0][0], polygons[0][0][0][1]);
+        const vertices = [];
+        const grid = new Map();
+        const vertexIndex = ([x, y]) => {
+            const cx = Math.round(x / snapMeters);
+            const cy = Math.round(y / snapMeters);
+            for (let i = -1; i <= 1; i++) {
+                for (let j = -1; j <= 1; j++) {
+                    const found = (grid.get(`${cx + i},${cy + j}`) || []).find(v =>
+                        Math.hypot(vertices[v][0] - x, vertices[v][1] - y) <= snapMeters);
+                    if (found !== undefined) return found;
+                }
+            }
+            const key = `${cx},${cy}`;
+            if (!grid.has(key)) grid.set(key, []);
+            grid.get(key).push(vertices.length);
+            vertices.push([x, y]);
+            return vertices.length - 1;
+        };
+        const ringArea = ring => ring.reduce((sum, v, i) => {
+            const a = vertices[v], b = vertices[ring[(i + 1) % ring.length]];
+            return sum + (a[0] * b[1] - b[0] * a[1]) / 2;
+        }, 0);
+
+        // Outer rings anticlockwise, holes clockwise, so a boundary shared by two lots runs both ways
+        const rings = [];
+        polygons.forEach(polygon => polygon.forEach((ring, i) => {
+            const indices = ring.map(c => vertexIndex(proj.forward(c)))
+                .filter((v, k, all) => v !== all[(k + 1) % all.length]);
+            if (indices.length < 3) return;
+            if ((ringArea(indices) > 0) !== (i === 0)) indices.reverse();
+            rings.push(indices);
+        }));
+
+        // Directed edges, split wherever another vertex sits on them; opposite pairs cancel
+        const outgoing = new Map();
+        const remove = (a, b) => {
+            const list = outgoing.get(a);
+            const k = list ? list.indexOf(b) : -1;
+            if (k < 0) return false;
+            list.splice(k, 1);
+            return true;
+        };
+        const snapSq = snapMeters * snapMeters;
+        rings.forEach(ring => ring.forEach((a, i) => {
+            const b = ring[(i + 1) % ring.length];
+            const pa = vertices[a], pb = vertices[b];
+            const lengthSq = Math.pow(pb[0] - pa[0], 2) + Math.pow(pb[1] - pa[1], 2);
+            const chain = vertices
+                .map((p, v) => ({ v, t: ((p[0] - pa[0]) * (pb[0] - pa[0]) + (p[1] - pa[1]) * (pb[1] - pa[1])) / lengthSq }))
+                .filter(({ v, t }) => v !== a && v !== b && t > 0 && t < 1 &&
+                    this.segmentDistanceSq(vertices[v], pa, pb) <= snapSq)
+                .sort((p, q) => p.t - q.t)
+                .map(({ v }) => v);
+
+            [a, ...chain, b].forEach((from, k, path) => {
+                const to = path[k + 1];
+                if (to === undefined || remove(to, from)) return;
+                if (!outgoing.has(from)) outgoing.set(from, []);
+                outgoing.get(from).push(to);
+            });
+        }));
+
+        // Walk the remaining edges into rings, taking the tightest turn where outlines touch
+        const angle = (from, to) => Math.atan2(vertices[to][1] - vertices[from][1], vertices[to][0] - vertices[from][0]);
+        const outers = [];
+        const holes = [];
+        outgoing.forEach((list, start) => {
+            while (list.length) {
+                const ring = [start];
+                let prev = start;
+                let current = list.shift();
+                while (current !== start && ring.length <= vertices.length) {
+                    ring.push(current);
+                    const back = angle(current, prev);
+                    const options = outgoing.get(current) || [];
+                    if (!options.length) break;
+                    const turn = to => ((angle(current, to) - back) % (2 * Math.PI) + 2 * Math.PI) % (2 * Math.PI);
+                    const next = options.reduce((best, to) => turn(to) > turn(best) ? to : best);
+                    remove(current, next);
+                    prev = current;
+                    current = next;
+                }
+                if (current !== start) {
+                    console.warn('Parcel merge: open boundary chain skipped');
+                    continue;
+                }
+
+                // Drop vertices left in the middle of a straight merged edge
+                const cleaned = ring.filter((v, k) => this.segmentDistanceSq(vertices[v],
+                    vertices[ring[(k + ring.length - 1) % ring.length]],
+                    vertices[ring[(k + 1) % ring.length]]) > 1e-6);
+                const area = ringArea(cleaned);
+                if (cleaned.length < 3 || Math.abs(area) < snapSq) continue;
+                (area > 0 ? outers : holes).push(cleaned.map(v => vertices[v]));
+            }
+        });
+
+        const close = ring => {
+            const coords = ring.map(proj.inverse);
+            return [...coords, coords[0]];
+        };
+        const merged = outers.map(outer => [close(outer)]);
+        holes.forEach(hole => {
+            const owner = outers.findIndex(outer => this.signedDistanceToRings(hole[0], [outer]) > 0);
+            if (owner >= 0) merged[owner].push(close(hole));
+        });
+
+        const geometry = merged.length === 1
+            ? { type: 'Polygon', coordinates: merged[0] }
+            : { type: 'MultiPolygon', coordinates: merged.length ? merged : polygons };
+        const appellations = features.map(f => this.getAppellation(f.properties));
+
+        return {
+            type: 'Feature',
+            id: features.map(f => f.id).filter(id => id !== undefined).join('+') || undefined,
+            properties: {
+                appellation: appellations.join(', '),
+                appellations,
+                parcel_ids: features.map(f => f.id ?? null),
+                parcel_count: features.length,
+                merged: true
+            },
+            geometry
+        };
+    }
+
+    /**
+     * Ellipsoidal (WGS84) area of a Polygon/MultiPolygon feature in m², holes subtracted
      */
     calculatePropertyArea(feature) {
         try {
-            const coords = this.extractCoordinates(feature);
-            return this.calculatePolygonAreaFromCoords(coords);
+            return this.calculateGeodesicArea(feature?.geometry);
         } catch (error) {
             console.warn('Error calculating area:', error);
             return 0;
         }
     }
 
+    /**
+     * WGS84 area of a GeoJSON Polygon or MultiPolygon geometry in m²
+     * Rings are mapped onto the ellipsoid's Lambert cylindrical equal-area plane (authalic
+     * latitude), so the shoelace sum is an exact ellipsoidal area for the projected edges.
+     * Versus true geodesic edges (GeographicLib) the error is below 0.0001% for parcels up to
+     * ~100 m across, 0.001% at ~1 km and 0.005% at ~5 km.
+     */
+    calculateGeodesicArea(geometry) {
+        if (!geometry) return 0;
+
+        const polygons = geometry.type === 'Polygon' ? [geometry.coordinates]
+            : geometry.type === 'MultiPolygon' ? geometry.coordinates
+            : [];
+
+        return polygons.reduce((total, rings) => {
+            if (!rings.length) return total;
+            const outer = this.calculatePolygonArea(rings[0]);
+            const holes = rings.slice(1).reduce((sum, ring) => sum + this.calculatePolygonArea(ring), 0);
+            return total + Math.max(0, outer - holes);
+        }, 0);
+    }
+
+    /**
+     * Ellipsoidal area of a single [lon, lat] ring in m² (unsigned)
+     */
     calculatePolygonArea(coordinates) {
-        // Shoelace formula for polygon area
+        if (!coordinates || coordinates.length < 3) return 0;
+
+        const a = 6378137.0;              // WGS84 semi-major axis
+        const e2 = 0.00669437999014;      // WGS84 first eccentricity squared
+        const e = Math.sqrt(e2);
+        const toRad = Math.PI / 180;
+
+        // q(φ) from the authalic latitude relation; y = a·q/2 is area-preserving with x = a·λ
+        const q = lat => {
+            const sinLat = Math.sin(lat * toRad);
+            return (1 - e2) * (sinLat / (1 - e2 * sinLat * sinLat) -
+                (1 / (2 * e)) * Math.log((1 - e * sinLat) / (1 + e * sinLat)));
+        };
+
+        // Work relative to the first vertex to avoid cancellation, unwrapping the antimeridian
+        const lon0 = coordinates[0][0];
+        const y0 = q(coordinates[0][1]);
+        const points = coordinates.map(([lon, lat]) => {
+            let dLon = lon - lon0;
+            if (dLon > 180) dLon -= 360;
+            if (dLon < -180) dLon += 360;
+            return [a * dLon * toRad, a * (q(lat) - y0) / 2];
+        });
+
         let area = 0;
-        for (let i = 0; i < coordinates.length - 1; i++) {
-            area += coordinates[i][0] * coordinates[i + 1][1];
-            area -= coordinates[i + 1][0] * coordinates[i][1];
+        for (let i = 0; i < points.length; i++) {
+            const j = (i + 1) % points.length;
+            area += points[i][0] * points[j][1] - points[j][0] * points[i][1];
         }
         return Math.abs(area) / 2;
     }
 
     calculatePolygonAreaFromCoords(coords) {
         if (coords.length < 3) return 0;
-        
-        let area = 0;
-        for (let i = 0; i < coords.length - 1; i++) {
-            const j = (i + 1) % coords.length;
-            area += coords[i].longitude * coords[j].latitude;
-            area -= coords[j].longitude * coords[i].latitude;
-        }
-        return Math.abs(area) / 2 * 12100000; // Approximate m² conversion
+        return this.calculatePolygonArea(coords.map(c => [c.longitude, c.latitude]));
     }
 
     /**
@@ -664,6 +1765,255 @@ class CoordinateProcessor {
         return angle;
     }
 
+    /**
+     * Per-edge table for every outer ring of a feature (largest part first)
+     */
+    calculateEdgeTable(feature) {
+        return this.extractParts(feature).flatMap((part, partIndex) =>
+            this.calculateRingEdges(part.outer).map(edge => ({ part: partIndex + 1, ...edge }))
+        );
+    }
+
+    /**
+     * Length (m), whole-circle bearing and interior angle at the start vertex of each ring edge
+     */
+    calculateRingEdges(ring) {
+        const points = this.removeDuplicateCoordinates(ring);
+        const n = points.length;
+        if (n < 3) return [];
+
+        // Signed turns sum to +360 for a clockwise ring, -360 for anticlockwise
+        const turns = points.map((point, i) =>
+            this.calculateCornerAngle(points[(i - 1 + n) % n], point, points[(i + 1) % n])
+        );
+        const clockwise = turns.reduce((sum, turn) => sum + turn, 0) > 0;
+
+        return points.map((from, i) => {
+            const to = points[(i + 1) % n];
+            const bearing = this.calculateBearing(from, to);
+            const interiorAngle = clockwise ? 180 - turns[i] : 180 + turns[i];
+            return {
+                edge: i + 1,
+                from: { latitude: from.latitude, longitude: from.longitude },
+                to: { latitude: to.latitude, longitude: to.longitude },
+                midpoint: {
+                    latitude: (from.latitude + to.latitude) / 2,
+                    longitude: (from.longitude + to.longitude) / 2
+                },
+                length: this.calculateGeodesicDistance(from, to),  // same ellipsoidal measure as the measure tool
+                bearing: bearing,
+                bearingDMS: this.formatDMS(bearing, true),
+                interiorAngle: interiorAngle,
+                interiorAngleDMS: this.formatDMS(interiorAngle)
+            };
+        });
+    }
+
+    /**
+     * Change setback distances and recompute the subject's buildable envelope
+     */
+    setSetbacks(setbacks) {
+        this.setbacks = { ...this.setbacks, ...setbacks };
+        const feature = this.subjectProperty?.feature;
+        if (feature) {
+            const parcels = this.subjectProperty.parcels.map(p => p.feature);
+            const neighbors = (this.downloadedCoordinates?.features || []).filter(f => !parcels.includes(f));
+            this.subjectProperty.envelope = this.calculateSetbackEnvelope(feature, neighbors);
+        }
+        return this.subjectProperty?.envelope || null;
+    }
+
+    /**
+     * Buildable envelope: every outer ring inset by its per-edge setback
+     * Returns { feature (Polygon/MultiPolygon), area, edges: [{ part, edge, type, distance, adjoining }] }
+     * or null when the setbacks consume the whole lot
+     */
+    calculateSetbackEnvelope(feature, neighborFeatures = [], setbacks = this.setbacks) {
+        const edges = this.classifyEdges(feature, neighborFeatures);
+        const polygons = [];
+
+        this.extractParts(feature).forEach((part, partIndex) => {
+            const points = this.removeDuplicateCoordinates(part.outer);
+            if (points.length < 3) return;
+
+            const partEdges = edges.filter(e => e.part === partIndex + 1);
+            partEdges.forEach(edge => {
+                edge.distance = setbacks.overrides?.[`${edge.part}.${edge.edge}`] ??
+                    (edge.part === 1 ? setbacks.overrides?.[edge.edge] : undefined) ??
+                    setbacks[edge.type];
+            });
+
+            const proj = this.localProjector(points[0].longitude, points[0].latitude);
+            const inset = this.insetRing(points.map(p => proj.forward([p.longitude, p.latitude])),
+                partEdges.map(e => e.distance));
+            if (inset) {
+                const ring = inset.map(proj.inverse);
+                polygons.push([[...ring, ring[0]]]);
+            }
+        });
+
+        if (!polygons.length) return null;
+
+        const geometry = polygons.length === 1
+            ? { type: 'Polygon', coordinates: polygons[0] }
+            : { type: 'MultiPolygon', coordinates: polygons };
+        return {
+            feature: { type: 'Feature', properties: { kind: 'setback-envelope' }, geometry },
+            area: this.calculateGeodesicArea(geometry),
+            edges
+        };
+    }
+
+    /**
+     * Label each edge front / side / rear. Front edges adjoin a road parcel or no parcel at all;
+     * rear edges face away from the front
+     */
+    classifyEdges(feature, neighborFeatures = []) {
+        const edges = this.calculateEdgeTable(feature).map(edge => {
+            let adjoining = null;
+            neighborFeatures.forEach(neighbor => {
+                const d = Math.abs(this.distanceToFeature(neighbor, edge.midpoint.latitude, edge.midpoint.longitude));
+                if (d < 0.5 && (!adjoining || d < adjoining.distance)) {
+                    adjoining = { feature: neighbor, distance: d };
+                }
+            });
+
+            const props = adjoining?.feature.properties || {};
+            const road = !adjoining || /road|street/i.test(props.parcel_intent || props.intent || '');
+            return {
+                part: edge.part,
+                edge: edge.edge,
+                type: road ? 'front' : 'side',
+                adjoining: adjoining ? this.getAppellation(props) : null,
+                bearing: edge.bearing
+            };
+        });
+
+        // Outward normal of an edge points 90° to the left of travel on clockwise rings, right otherwise
+        const fronts = edges.filter(e => e.type === 'front');
+        if (fronts.length && fronts.length < edges.length) {
+            const toRad = Math.PI / 180;
+            const clockwise = this.isRingClockwise(this.extractParts(feature)[0].outer);
+            const normal = e => (e.bearing + (clockwise ? -90 : 90)) * toRad;
+            const fx = fronts.reduce((sum, e) => sum + Math.sin(normal(e)), 0);
+            const fy = fronts.reduce((sum, e) => sum + Math.cos(normal(e)), 0);
+            const len = Math.sqrt(fx * fx + fy * fy) || 1;
+
+            edges.forEach(e => {
+                if (e.type !== 'side') return;
+                if ((Math.sin(normal(e)) * fx + Math.cos(normal(e)) * fy) / len < -0.7) e.type = 'rear';
+            });
+        }
+
+        return edges.map(e => ({ part: e.part, edge: e.edge, type: e.type, adjoining: e.adjoining }));
+    }
+
+    /**
+     * Clockwise on the map (north up) - signed shoelace in lon/lat
+     */
+    isRingClockwise(ring) {
+        let sum = 0;
+        for (let i = 0; i < ring.length; i++) {
+            const a = ring[i], b = ring[(i + 1) % ring.length];
+            sum += (b.longitude - a.longitude) * (b.latitude + a.latitude);
+        }
+        return sum > 0;
+    }
+
+    /**
+     * Mitred inward offset of an open planar ring, one distance per edge (edge i runs i → i+1)
+     * Edges that collapse are dropped and the offset recomputed; null if nothing is left
+     */
+    insetRing(points, distances) {
+        let signedArea = 0;
+        points.forEach((a, i) => {
+            const b = points[(i + 1) % points.length];
+            signedArea += a[0] * b[1] - b[0] * a[1];
+        });
+        const side = signedArea > 0 ? 1 : -1; // inward normal is to the left on anticlockwise rings
+
+        let edges = points.map((a, i) => {
+            const b = points[(i + 1) % points.length];
+            const len = Math.hypot(b[0] - a[0], b[1] - a[1]);
+            const dir = [(b[0] - a[0]) / len, (b[1] - a[1]) / len];
+            return { a, b, dir, normal: [-dir[1] * side, dir[0] * side], d: distances[i] || 0, len };
+        }).filter(edge => edge.len > 1e-6);
+
+        for (let guard = points.length; guard > 0 && edges.length >= 3; guard--) {
+            const m = edges.length;
+            const joints = edges.map((edge, i) => this.offsetJoint(edges[(i - 1 + m) % m], edge));
+
+            // An edge whose offset runs backwards has been squeezed out
+            let worst = -1;
+            let worstDot = 0;
+            edges.forEach((edge, i) => {
+                const start = joints[i].start;
+                const end = joints[(i + 1) % m].end;
+                const dot = (end[0] - start[0]) * edge.dir[0] + (end[1] - start[1]) * edge.dir[1];
+                if (dot < worstDot) {
+                    worstDot = dot;
+                    worst = i;
+                }
+            });
+
+            if (worst < 0) {
+                const ring = joints.flatMap(j =>
+                    Math.hypot(j.end[0] - j.start[0], j.end[1] - j.start[1]) < 1e-6 ? [j.start] : [j.end, j.start]
+                );
+                let insetArea = 0;
+                ring.forEach((a, i) => {
+                    const b = ring[(i + 1) % ring.length];
+                    insetArea += a[0] * b[1] - b[0] * a[1];
+                });
+                return insetArea * side > 0 ? ring : null;
+            }
+            edges.splice(worst, 1);
+        }
+        return null;
+    }
+
+    /**
+     * Where the offset lines of two consecutive edges meet; parallel edges step between offsets
+     */
+    offsetJoint(prev, edge) {
+        const p1 = [prev.a[0] + prev.normal[0] * prev.d, prev.a[1] + prev.normal[1] * prev.d];
+        const p2 = [edge.a[0] + edge.normal[0] * edge.d, edge.a[1] + edge.normal[1] * edge.d];
+        const cross = prev.dir[0] * edge.dir[1] - prev.dir[1] * edge.dir[0];
+
+        if (Math.abs(cross) < 1e-9) {
+            return { end: [prev.b[0] + prev.normal[0] * prev.d, prev.b[1] + prev.normal[1] * prev.d], start: p2 };
+        }
+
+        const t = ((p2[0] - p1[0]) * edge.dir[1] - (p2[1] - p1[1]) * edge.dir[0]) / cross;
+        const point = [p1[0] + prev.dir[0] * t, p1[1] + prev.dir[1] * t];
+        return { end: point, start: point };
+    }
+
+    /**
+     * Envelope polygons as AR parts ({ boundaries, holes }) of {latitude, longitude} points
+     */
+    envelopeToParts(envelope) {
+        if (!envelope) return [];
+        return this.extractParts(envelope.feature).map(part => ({
+            boundaries: this.removeDuplicateCoordinates(part.outer),
+            holes: [],
+            maxDeviation: 0
+        }));
+    }
+
+    /**
+     * Degrees as D°MM'SS" - bearings wrap 359°59'59.6" to 0°00'00"
+     */
+    formatDMS(degrees, isBearing = false) {
+        let seconds = Math.round(Math.abs(degrees) * 3600);
+        if (isBearing) seconds %= 360 * 3600;
+
+        const d = Math.floor(seconds / 3600);
+        const m = Math.floor((seconds % 3600) / 60);
+        const s = seconds % 60;
+        return `${degrees < 0 ? '-' : ''}${d}°${String(m).padStart(2, '0')}'${String(s).padStart(2, '0')}"`;
+    }
+
     /**
      * Calculate bearing between two GPS points in degrees
      */
@@ -678,6 +2028,32 @@ class CoordinateProcessor {
         return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
     }
 
+    /**
+     * Ellipsoidal distance in metres between {latitude, longitude} points
+     * ECEF chord plus the arc correction - within a millimetre of the geodesic below 10 km
+     */
+    calculateGeodesicDistance(point1, point2) {
+        const [x1, y1, z1] = this.geodeticToECEF(point1.latitude, point1.longitude, 0);
+        const [x2, y2, z2] = this.geodeticToECEF(point2.latitude, point2.longitude, 0);
+        const dx = x2 - x1, dy = y2 - y1, dz = z2 - z1;
+        const chord = Math.sqrt(dx * dx + dy * dy + dz * dz);
+        return chord + Math.pow(chord, 3) / (24 * 6371008.8 * 6371008.8);
+    }
+
+    /**
+     * Total geodesic length of a path of {latitude, longitude} points (closed adds the last edge)
+     */
+    calculatePathLength(points, closed = false) {
+        let length = 0;
+        for (let i = 1; i < points.length; i++) {
+            length += this.calculateGeodesicDistance(points[i - 1], points[i]);
+        }
+        if (closed && points.length > 2) {
+            length += this.calculateGeodesicDistance(points[points.length - 1], points[0]);
+        }
+        return length;
+    }
+
     /**
      * Enhanced distance calculation using Haversine formula
      */
@@ -0,0 +1,262 @@
+/**
+ * Elevation Sources
+ * Ground heights used by CoordinateProcessor to put AR boundary vertices on the terrain
+ * Every source resolves sampleMany(points) to one height in metres (or null) per point
+ */
+
+class ElevationSource {
+    constructor(options = {}) {
+        this.options = options;
+        this.name = options.name || 'elevation-source';
+    }
+
+    /**
+     * Heights for [{ latitude, longitude }] - null where the source has no data
+     */
+    async sampleMany() {
+        throw new Error(`${this.name} does not implement sampleMany`);
+    }
+
+    async sample(latitude, longitude) {
+        const [height] = await this.sampleMany([{ latitude, longitude }]);
+        return height;
+    }
+
+    /**
+     * Flat sources skip edge densification - there is no relief to follow
+     */
+    isFlat() {
+        return false;
+    }
+}
+
+/**
+ * Same height everywhere - the previous single originAltitude behaviour
+ */
+class ConstantElevationSource extends ElevationSource {
+    constructor(options = {}) {
+        super({ name: 'constant', ...options });
+        this.altitude = options.altitude ?? 0;
+    }
+
+    async sampleMany(points) {
+        return points.map(() => this.altitude);
+    }
+
+    isFlat() {
+        return true;
+    }
+}
+
+/**
+ * Single GeoTIFF raster (local file, bundled asset or URL) decoded with geotiff.js
+ * srsName is the raster CRS - EPSG:2193 (LINZ DEMs) or EPSG:4326
+ */
+class GeoTiffElevationSource extends ElevationSource {
+    constructor(options = {}) {
+        super({ name: 'geotiff', ...options });
+        this.url = options.url;
+        this.file = options.file;            // File, Blob or ArrayBuffer, e.g. from a file picker
+        this.srsName = options.srsName || 'EPSG:2193';
+        this.projector = options.projector;  // CoordinateProcessor, for NZTM transforms
+        this.geotiffUrl = options.geotiffUrl || 'https://unpkg.com/geotiff@2.1.3/dist-browser/geotiff.js';
+        this.imagePromise = null;
+    }
+
+    openImage() {
+        if (!this.imagePromise) {
+            this.imagePromise = this.loadImage(this.file || this.url);
+            this.imagePromise.catch(() => { this.imagePromise = null; });
+        }
+        return this.imagePromise;
+    }
+
+    async loadImage(source) {
+        if (typeof GeoTIFF === 'undefined') {
+            await loadScript(this.geotiffUrl).catch(() => {
+                throw new Error('geotiff.js not loaded - GeoTIFF elevation unavailable');
+            });
+        }
+        if (!source) {
+            throw new Error(`${this.name} elevation source requires a url or file`);
+        }
+
+        let tiff;
+        if (source instanceof ArrayBuffer) {
+            tiff = await GeoTIFF.fromArrayBuffer(source);
+        } else if (typeof source === 'string') {
+            tiff = await GeoTIFF.fromUrl(source);
+        } else {
+            tiff = await GeoTIFF.fromBlob(source);
+        }
+        return tiff.getImage();
+    }
+
+    toRasterPosition(point) {
+        if (this.srsName === 'EPSG:4326') return [point.longitude, point.latitude];
+        if (!this.projector) {
+            throw new Error(`${this.name} elevation source needs a projector for ${this.srsName}`);
+        }
+        const nztm = this.projector.wgs84ToNZTM(point.latitude, point.longitude);
+        return [nztm.easting, nztm.northing];
+    }
+
+    async sampleMany(points) {
+        const image = await this.openImage();
+        return this.sampleImage(image, points.map(p => this.toRasterPosition(p)));
+    }
+
+    /**
+     * Bilinear heights at raster-CRS positions, reading one window that covers them all
+     */
+    async sampleImage(image, positions) {
+        const [originX, originY] = image.getOrigin();
+        const [resX, resY] = image.getResolution();
+        const width = image.getWidth();
+        const height = image.getHeight();
+        const noData = image.getGDALNoData();
+
+        // Fractional pixel coordinates relative to pixel centres
+        const pixels = positions.map(([x, y]) => [(x - originX) / resX - 0.5, (y - originY) / resY - 0.5]);
+        const onRaster = ([px, py]) => px > -1 && py > -1 && px < width && py < height;
+        const inside = pixels.filter(onRaster);
+        if (!inside.length) return positions.map(() => null);
+
+        const clampX = v => Math.min(width - 1, Math.max(0, v));
+        const clampY = v => Math.min(height - 1, Math.max(0, v));
+        const left = clampX(Math.floor(Math.min(...inside.map(p => p[0]))));
+        const top = clampY(Math.floor(Math.min(...inside.map(p => p[1]))));
+        const right = clampX(Math.floor(Math.max(...inside.map(p => p[0]))) + 1);
+        const bottom = clampY(Math.floor(Math.max(...inside.map(p => p[1]))) + 1);
+
+        const [band] = await image.readRasters({ window: [left, top, right + 1, bottom + 1], samples: [0] });
+        const windowWidth = right - left + 1;
+        const value = (ix, iy) => {
+            const v = band[(clampY(iy) - top) * windowWidth + (clampX(ix) - left)];
+            return v === noData || Number.isNaN(v) ? null : v;
+        };
+
+        return pixels.map(pixel => {
+            if (!onRaster(pixel)) return null;
+
+            const ix = Math.floor(pixel[0]);
+            const iy = Math.floor(pixel[1]);
+            const fx = pixel[0] - ix;
+            const fy = pixel[1] - iy;
+
+            // Renormalise over valid neighbours so coastline / void edges still sample
+            let sum = 0;
+            let weight = 0;
+            [[ix, iy, (1 - fx) * (1 - fy)], [ix + 1, iy, fx * (1 - fy)],
+                [ix, iy + 1, (1 - fx) * fy], [ix + 1, iy + 1, fx * fy]].forEach(([cx, cy, w]) => {
+                const v = value(cx, cy);
+                if (v !== null && w > 0) {
+                    sum += v * w;
+                    weight += w;
+                }
+            });
+            return weight > 0 ? sum / weight : null;
+        });
+    }
+}
+
+// NZ Topo50 map sheet grid (EPSG:2193) that names the LINZ elevation tiles, e.g. BQ31_10000_0401
+const TOPO50_GRID = {
+    originX: 988000,
+    originY: 6234000,
+    sheetWidth: 24000,
+    sheetHeight: 36000,
+    letters: 'ABCDEFGHJKLMNPQRSTUVWXYZ', // no I or O
+    firstRow: 16                        // sheets start at "AS"
+};
+
+/**
+ * LINZ 1 m DEM - Cloud Optimised GeoTIFFs in EPSG:2193, one per Topo50 1:10k tile
+ * url is a template containing {sheet}, e.g. a region/survey folder of the LINZ elevation bucket
+ */
+class LinzDemElevationSource extends GeoTiffElevationSource {
+    constructor(options = {}) {
+        super({ name: 'linz-dem', ...options, srsName: 'EPSG:2193' });
+        this.gridSize = options.gridSize || 10000; // 1:10k tiles
+        this.tiles = new Map();
+    }
+
+    /**
+     * Topo50 tile name for an NZTM position at this.gridSize
+     */
+    tileName(easting, northing) {
+        const grid = TOPO50_GRID;
+        const col = Math.floor((easting - grid.originX) / grid.sheetWidth);
+        const row = Math.floor((grid.originY - northing) / grid.sheetHeight);
+        const index = grid.firstRow + row;
+        const sheet = grid.letters[Math.floor(index / grid.letters.length)] +
+            grid.letters[index % grid.letters.length] +
+            String(col).padStart(2, '0');
+
+        const perSide = 50000 / this.gridSize;
+        const tileWidth = grid.sheetWidth / perSide;
+        const tileHeight = grid.sheetHeight / perSide;
+        const tileCol = Math.floor((easting - (grid.originX + col * grid.sheetWidth)) / tileWidth) + 1;
+        const tileRow = Math.floor(((grid.originY - row * grid.sheetHeight) - northing) / tileHeight) + 1;
+        const digits = perSide > 99 ? 3 : 2;
+
+        return `${sheet}_${this.gridSize}_${String(tileRow).padStart(digits, '0')}${String(tileCol).padStart(digits, '0')}`;
+    }
+
+    openTile(name) {
+        if (!this.tiles.has(name)) {
+            const image = this.loadImage(this.url.replace('{sheet}', name));
+            image.catch(() => this.tiles.delete(name));
+            this.tiles.set(name, image);
+        }
+        return this.tiles.get(name);
+    }
+
+    async sampleMany(points) {
+        if (!this.url || !this.url.includes('{sheet}')) {
+            throw new Error('LINZ DEM elevation source requires a url template containing {sheet}');
+        }
+
+        // Group by tile so each GeoTIFF is opened and windowed once
+        const positions = points.map(p => this.toRasterPosition(p));
+        const groups = new Map();
+        positions.forEach((position, i) => {
+            const name = this.tileName(position[0], position[1]);
+            if (!groups.has(name)) groups.set(name, []);
+            groups.get(name).push(i);
+        });
+
+        const heights = points.map(() => null);
+        for (const [name, indices] of groups) {
+            try {
+                const image = await this.openTile(name);
+                const values = await this.sampleImage(image, indices.map(i => positions[i]));
+                indices.forEach((index, k) => { heights[index] = values[k]; });
+            } catch (error) {
+                console.warn(`LINZ DEM tile ${name} unavailable:`, error);
+            }
+        }
+        return heights;
+    }
+}
+
+const ELEVATION_SOURCE_TYPES = {
+    'constant': ConstantElevationSource,
+    'geotiff': GeoTiffElevationSource,
+    'linz-dem': LinzDemElevationSource
+};
+
+/**
+ * Build an elevation source from a config object ({ type, ...options }) or pass an instance through
+ */
+function createElevationSource(config = {}, projector = null) {
+    if (config instanceof ElevationSource) return config;
+
+    const type = config.type || 'constant';
+    const SourceClass = ELEVATION_SOURCE_TYPES[type];
+    if (!SourceClass) {
+        throw new Error(`Unknown elevation source type: ${type}`);
+    }
+
+    return new SourceClass({ projector, ...config });
+}
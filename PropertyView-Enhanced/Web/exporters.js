@@ -0,0 +1,541 @@
+/**
+ * Boundary Exporters
+ * Write a FeatureCollection of parcels (already in the output CRS) to a downloadable file
+ * Every exporter resolves export(collection, { srsName, name }) to { filename, content, mimeType }
+ * where content is a string or Uint8Array
+ */
+
+// CRS definitions for .prj files and the GeoPackage spatial reference table
+const SRS_WKT = {
+    'EPSG:4326': 'GEOGCS["WGS 84",DATUM["WGS_1984",SPHEROID["WGS 84",6378137,298.257223563]],' +
+        'PRIMEM["Greenwich",0],UNIT["degree",0.0174532925199433],AUTHORITY["EPSG","4326"]]',
+    'EPSG:2193': 'PROJCS["NZGD2000 / New Zealand Transverse Mercator 2000",GEOGCS["NZGD2000",' +
+        'DATUM["New_Zealand_Geodetic_Datum_2000",SPHEROID["GRS 1980",6378137,298.257222101]],' +
+        'PRIMEM["Greenwich",0],UNIT["degree",0.0174532925199433]],PROJECTION["Transverse_Mercator"],' +
+        'PARAMETER["latitude_of_origin",0],PARAMETER["central_meridian",173],PARAMETER["scale_factor",0.9996],' +
+        'PARAMETER["false_easting",1600000],PARAMETER["false_northing",10000000],UNIT["metre",1],' +
+        'AUTHORITY["EPSG","2193"]]'
+};
+
+class BoundaryExporter {
+    constructor(options = {}) {
+        this.options = options;
+        this.name = options.name || 'exporter';
+        this.extension = options.extension || 'txt';
+        this.mimeType = options.mimeType || 'application/octet-stream';
+    }
+
+    async export() {
+        throw new Error(`${this.name} does not implement export`);
+    }
+
+    filename(options = {}) {
+        return `${options.name || 'parcel'}.${this.extension}`;
+    }
+
+    /**
+     * Attribute columns across every feature, in first-seen order, typed 'number' or 'string'
+     */
+    columns(collection) {
+        const columns = new Map();
+        collection.features.forEach(feature => Object.entries(feature.properties || {}).forEach(([key, value]) => {
+            if (value === null || value === undefined) {
+                if (!columns.has(key)) columns.set(key, { name: key, type: null });
+                return;
+            }
+            const type = typeof value === 'number' && Number.isFinite(value) ? 'number' : 'string';
+            const column = columns.get(key);
+            if (!column) columns.set(key, { name: key, type });
+            else if (column.type !== type) column.type = column.type === null ? type : 'string';
+        }));
+        return [...columns.values()].map(column => ({ ...column, type: column.type || 'string' }));
+    }
+
+    /**
+     * Attribute value as written to a column - arrays joined, objects as JSON
+     */
+    formatValue(value, type) {
+        if (value === null || value === undefined) return null;
+        if (type === 'number') return Number(value);
+        if (Array.isArray(value)) return value.join('; ');
+        if (typeof value === 'object') return JSON.stringify(value);
+        return String(value);
+    }
+
+    /**
+     * Polygon/MultiPolygon geometry as a list of polygons (arrays of closed rings)
+     */
+    polygons(feature) {
+        const geometry = feature.geometry;
+        const polygons = geometry?.type === 'Polygon' ? [geometry.coordinates]
+            : geometry?.type === 'MultiPolygon' ? geometry.coordinates : [];
+        return polygons.map(rings => rings.filter(ring => ring.length >= 3).map(ring => {
+            const first = ring[0], last = ring[ring.length - 1];
+            return first[0] === last[0] && first[1] === last[1] ? ring : [...ring, first];
+        })).filter(rings => rings.length);
+    }
+
+    bounds(rings) {
+        const points = rings.flat();
+        const xs = points.map(p => p[0]);
+        const ys = points.map(p => p[1]);
+        return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+    }
+
+    signedArea(ring) {
+        let sum = 0;
+        for (let i = 0; i < ring.length - 1; i++) {
+            sum += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+        }
+        return sum / 2;
+    }
+}
+
+class GeoJsonExporter extends BoundaryExporter {
+    constructor(options = {}) {
+        super({ name: 'geojson', extension: 'geojson', mimeType: 'application/geo+json', ...options });
+    }
+
+    async export(collection, options = {}) {
+        return {
+            filename: this.filename(options),
+            content: JSON.stringify(collection, null, 2),
+            mimeType: this.mimeType
+        };
+    }
+}
+
+/**
+ * ESRI Shapefile (.shp/.shx/.dbf/.prj/.cpg) zipped together; holes and multipart parcels
+ * become extra rings of one polygon record
+ */
+class ShapefileExporter extends BoundaryExporter {
+    constructor(options = {}) {
+        super({ name: 'shapefile', extension: 'zip', mimeType: 'application/zip', ...options });
+    }
+
+    async export(collection, options = {}) {
+        const base = options.name || 'parcel';
+        const features = collection.features.filter(f => this.polygons(f).length);
+        const { shp, shx } = this.writeGeometry(features);
+        const files = [
+            { name: `${base}.shp`, data: shp },
+            { name: `${base}.shx`, data: shx },
+            { name: `${base}.dbf`, data: this.writeDbf(features, this.columns({ features })) },
+            { name: `${base}.cpg`, data: 'UTF-8' }
+        ];
+        const wkt = SRS_WKT[options.srsName || 'EPSG:4326'];
+        if (wkt) files.push({ name: `${base}.prj`, data: wkt });
+
+        return { filename: this.filename(options), content: createZip(files), mimeType: this.mimeType };
+    }
+
+    writeGeometry(features) {
+        // Shapefile rings: outer clockwise, holes counter-clockwise
+        const records = features.map(feature => this.polygons(feature).flatMap(rings => rings.map((ring, i) => {
+            const clockwise = this.signedArea(ring) < 0;
+            return clockwise === (i === 0) ? ring : [...ring].reverse();
+        })));
+
+        const contentLengths = records.map(rings => 44 + 4 * rings.length + 16 * rings.flat().length);
+        const shp = new DataView(new ArrayBuffer(100 + contentLengths.reduce((sum, n) => sum + 8 + n, 0)));
+        const shx = new DataView(new ArrayBuffer(100 + 8 * records.length));
+        const all = records.flat();
+        const box = all.length ? this.bounds(all) : [0, 0, 0, 0];
+        this.writeHeader(shp, shp.byteLength, box);
+        this.writeHeader(shx, shx.byteLength, box);
+
+        let offset = 100;
+        records.forEach((rings, index) => {
+            const length = contentLengths[index];
+            shx.setInt32(100 + index * 8, offset / 2);
+            shx.setInt32(104 + index * 8, length / 2);
+
+            shp.setInt32(offset, index + 1);
+            shp.setInt32(offset + 4, length / 2);
+            shp.setInt32(offset + 8, 5, true); // Polygon
+            this.bounds(rings).forEach((v, i) => shp.setFloat64(offset + 12 + i * 8, v, true));
+            shp.setInt32(offset + 44, rings.length, true);
+            shp.setInt32(offset + 48, rings.flat().length, true);
+
+            let pos = offset + 52;
+            let start = 0;
+            rings.forEach(ring => {
+                shp.setInt32(pos, start, true);
+                pos += 4;
+                start += ring.length;
+            });
+            rings.flat().forEach(([x, y]) => {
+                shp.setFloat64(pos, x, true);
+                shp.setFloat64(pos + 8, y, true);
+                pos += 16;
+            });
+            offset += 8 + length;
+        });
+
+        return { shp: new Uint8Array(shp.buffer), shx: new Uint8Array(shx.buffer) };
+    }
+
+    writeHeader(view, byteLength, box) {
+        view.setInt32(0, 9994);
+        view.setInt32(24, byteLength / 2);
+        view.setInt32(28, 1000, true);
+        view.setInt32(32, 5, true);
+        box.forEach((v, i) => view.setFloat64(36 + i * 8, v, true));
+    }
+
+    /**
+     * dBASE III table - field names truncated to 10 characters and made unique
+     */
+    writeDbf(features, columns) {
+        const encoder = new TextEncoder();
+        const used = new Set();
+        const fields = columns.map(column => {
+            const stem = column.name.replace(/[^A-Za-z0-9_]/g, '_').slice(0, 10) || 'FIELD';
+            let name = stem;
+            for (let n = 1; used.has(name.toUpperCase()); n++) name = stem.slice(0, 10 - String(n).length) + n;
+            used.add(name.toUpperCase());
+
+            const values = features.map(f => this.formatValue(f.properties?.[column.name], column.type));
+            if (column.type === 'number') {
+                const integer = values.every(v => v === null || Number.isInteger(v));
+                const decimals = integer ? 0 : 6;
+                const text = values.map(v => v === null ? '' : v.toFixed(decimals));
+                return { name, type: 'N', length: Math.min(19, Math.max(1, ...text.map(t => t.length))), decimals, text };
+            }
+            const bytes = values.map(v => encoder.encode(v ?? '').slice(0, 254));
+            return { name, type: 'C', length: Math.max(1, ...bytes.map(b => b.length)), decimals: 0, bytes };
+        });
+
+        const headerLength = 32 + 32 * fields.length + 1;
+        const recordLength = 1 + fields.reduce((sum, f) => sum + f.length, 0);
+        const data = new Uint8Array(headerLength + recordLength * features.length + 1);
+        const view = new DataView(data.buffer);
+        const now = new Date();
+        data[0] = 0x03;
+        data.set([now.getFullYear() - 1900, now.getMonth() + 1, now.getDate()], 1);
+        view.setUint32(4, features.length, true);
+        view.setUint16(8, headerLength, true);
+        view.setUint16(10, recordLength, true);
+
+        fields.forEach((field, i) => {
+            const at = 32 + i * 32;
+            data.set(encoder.encode(field.name), at);
+            data[at + 11] = field.type.charCodeAt(0);
+            data[at + 16] = field.length;
+            data[at + 17] = field.decimals;
+        });
+        data[headerLength - 1] = 0x0D;
+
+        features.forEach((feature, row) => {
+            let at = headerLength + row * recordLength;
+            data.fill(0x20, at, at + recordLength);
+            at++;
+            fields.forEach(field => {
+                if (field.type === 'N') {
+                    const text = field.text[row].slice(0, field.length);
+                    data.set(encoder.encode(text), at + field.length - text.length);
+                } else {
+                    data.set(field.bytes[row], at);
+                }
+                at += field.length;
+            });
+        });
+        data[data.length - 1] = 0x1A;
+        return data;
+    }
+}
+
+/**
+ * AutoCAD R12 DXF - one closed POLYLINE per ring on SUBJECT / NEIGHBOURS layers,
+ * plus an appellation TEXT label at the centre of each parcel's first polygon
+ */
+class DxfExporter extends BoundaryExporter {
+    constructor(options = {}) {
+        super({ name: 'dxf', extension: 'dxf', mimeType: 'application/dxf', ...options });
+    }
+
+    async export(collection, options = {}) {
+        const features = collection.features.filter(f => this.polygons(f).length);
+        const all = features.flatMap(f => this.polygons(f).flat());
+        const box = all.length ? this.bounds(all) : [0, 0, 0, 0];
+        const textHeight = Math.max(box[2] - box[0], box[3] - box[1]) / 60 || 1;
+
+        const layerOf = feature => feature.properties?.role === 'neighbour' ? 'NEIGHBOURS' : 'SUBJECT';
+        const entities = [];
+        features.forEach(feature => {
+            const layer = layerOf(feature);
+            this.polygons(feature).forEach(rings => rings.forEach(ring => {
+                entities.push(0, 'POLYLINE', 8, layer, 66, 1, 70, 1, 10, 0, 20, 0, 30, 0);
+                ring.slice(0, -1).forEach(([x, y]) => entities.push(0, 'VERTEX', 8, layer, 10, x, 20, y, 30, 0));
+                entities.push(0, 'SEQEND', 8, layer);
+            }));
+
+            const label = feature.properties?.appellation;
+            if (label) {
+                const [minX, minY, maxX, maxY] = this.bounds(this.polygons(feature)[0]);
+                entities.push(0, 'TEXT', 8, 'LABELS', 10, (minX + maxX) / 2, 20, (minY + maxY) / 2, 30, 0,
+                    40, textHeight, 1, String(label).replace(/[\r\n]+/g, ' '), 72, 1, 73, 2,
+                    11, (minX + maxX) / 2, 21, (minY + maxY) / 2, 31, 0);
+            }
+        });
+
+        const layers = [['SUBJECT', 5], ['NEIGHBOURS', 8], ['LABELS', 7]];
+        const groups = [
+            0, 'SECTION', 2, 'HEADER',
+            9, '$ACADVER', 1, 'AC1009',
+            9, '$EXTMIN', 10, box[0], 20, box[1], 30, 0,
+            9, '$EXTMAX', 10, box[2], 20, box[3], 30, 0,
+            0, 'ENDSEC',
+            0, 'SECTION', 2, 'TABLES',
+            0, 'TABLE', 2, 'LTYPE', 70, 1,
+            0, 'LTYPE', 2, 'CONTINUOUS', 70, 0, 3, 'Solid line', 72, 65, 73, 0, 40, 0,
+            0, 'ENDTAB',
+            0, 'TABLE', 2, 'LAYER', 70, layers.length,
+            ...layers.flatMap(([name, color]) => [0, 'LAYER', 2, name, 70, 0, 62, color, 6, 'CONTINUOUS']),
+            0, 'ENDTAB',
+            0, 'ENDSEC',
+            0, 'SECTION', 2, 'ENTITIES',
+            ...entities,
+            0, 'ENDSEC',
+            0, 'EOF'
+        ];
+
+        const lines = [];
+        for (let i = 0; i < groups.length; i += 2) {
+            const value = groups[i + 1];
+            lines.push(String(groups[i]), typeof value === 'number' ? this.formatNumber(groups[i], value) : value);
+        }
+        return { filename: this.filename(options), content: lines.join('\r\n') + '\r\n', mimeType: this.mimeType };
+    }
+
+    formatNumber(code, value) {
+        // Integer group codes (60-99) must not carry decimals
+        return code >= 60 && code < 100 ? String(Math.round(value)) : String(Number(value.toFixed(9)));
+    }
+}
+
+// sql.js module, initialised once and shared by every GeoPackage export
+let sqlJsPromise = null;
+
+/**
+ * OGC GeoPackage (SQLite) with one MULTIPOLYGON feature table, written with sql.js
+ */
+class GeoPackageExporter extends BoundaryExporter {
+    constructor(options = {}) {
+        super({ name: 'geopackage', extension: 'gpkg', mimeType: 'application/geopackage+sqlite3', ...options });
+        this.sqlJsBase = options.sqlJsBase || 'https://unpkg.com/sql.js@1.8.0/dist/';
+    }
+
+    loadSql() {
+        if (!sqlJsPromise) {
+            const loaded = typeof initSqlJs === 'undefined' ? loadScript(this.sqlJsBase + 'sql-wasm.js') : Promise.resolve();
+            sqlJsPromise = loaded
+                .catch(() => { throw new Error('sql.js not loaded - GeoPackage export unavailable'); })
+                .then(() => initSqlJs({ locateFile: file => this.sqlJsBase + file }));
+            sqlJsPromise.catch(() => { sqlJsPromise = null; });
+        }
+        return sqlJsPromise;
+    }
+
+    async export(collection, options = {}) {
+        const SQL = await this.loadSql();
+        const srsName = options.srsName || 'EPSG:4326';
+        const srsId = Number(srsName.split(':')[1]);
+        const table = 'parcels';
+        const features = collection.features.filter(f => this.polygons(f).length);
+        const columns = this.columns({ features }).filter(c => !['fid', 'geom'].includes(c.name.toLowerCase()));
+        const quote = name => `"${name.replace(/"/g, '""')}"`;
+
+        const db = new SQL.Database();
+        try {
+            db.run('PRAGMA application_id = 1196444487'); // "GPKG"
+            db.run('PRAGMA user_version = 10300');
+            db.run(`CREATE TABLE gpkg_spatial_ref_sys (srs_name TEXT NOT NULL, srs_id INTEGER PRIMARY KEY,
+                organization TEXT NOT NULL, organization_coordsys_id INTEGER NOT NULL, definition TEXT NOT NULL, description TEXT)`);
+            db.run(`CREATE TABLE gpkg_contents (table_name TEXT NOT NULL PRIMARY KEY, data_type TEXT NOT NULL,
+                identifier TEXT UNIQUE, description TEXT DEFAULT '', last_change DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ','now')),
+                min_x DOUBLE, min_y DOUBLE, max_x DOUBLE, max_y DOUBLE, srs_id INTEGER,
+                CONSTRAINT fk_gc_r_srs_id FOREIGN KEY (srs_id) REFERENCES gpkg_spatial_ref_sys(srs_id))`);
+            db.run(`CREATE TABLE gpkg_geometry_columns (table_name TEXT NOT NULL, column_name TEXT NOT NULL,
+                geometry_type_name TEXT NOT NULL, srs_id INTEGER NOT NULL, z TINYINT NOT NULL, m TINYINT NOT NULL,
+                CONSTRAINT pk_geom_cols PRIMARY KEY (table_name, column_name),
+                CONSTRAINT fk_gc_tn FOREIGN KEY (table_name) REFERENCES gpkg_contents(table_name),
+                CONSTRAINT fk_gc_srs FOREIGN KEY (srs_id) REFERENCES gpkg_spatial_ref_sys (srs_id))`);
+
+            const srsRows = [
+                ['Undefined cartesian SRS', -1, 'NONE', -1, 'undefined', 'undefined cartesian coordinate reference system'],
+                ['Undefined geographic SRS', 0, 'NONE', 0, 'undefined', 'undefined geographic coordinate reference system'],
+                ['WGS 84 geodetic', 4326, 'EPSG', 4326, SRS_WKT['EPSG:4326'], 'longitude/latitude coordinates in decimal degrees on the WGS 84 spheroid']
+            ];
+            if (srsId !== 4326) {
+                if (!SRS_WKT[srsName]) throw new Error(`No CRS definition for ${srsName}`);
+                srsRows.push([srsName, srsId, 'EPSG', srsId, SRS_WKT[srsName], null]);
+            }
+            srsRows.forEach(row => db.run('INSERT INTO gpkg_spatial_ref_sys VALUES (?, ?, ?, ?, ?, ?)', row));
+
+            const columnSql = columns.map(c => `${quote(c.name)} ${c.type === 'number' ? 'DOUBLE' : 'TEXT'}`);
+            db.run(`CREATE TABLE ${table} (fid INTEGER PRIMARY KEY AUTOINCREMENT, geom MULTIPOLYGON${columnSql.map(c => `, ${c}`).join('')})`);
+
+            const all = features.flatMap(f => this.polygons(f).flat());
+            const box = all.length ? this.bounds(all) : [null, null, null, null];
+            db.run('INSERT INTO gpkg_contents (table_name, data_type, identifier, min_x, min_y, max_x, max_y, srs_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+                [table, 'features', options.name || table, ...box, srsId]);
+            db.run('INSERT INTO gpkg_geometry_columns VALUES (?, ?, ?, ?, 0, 0)', [table, 'geom', 'MULTIPOLYGON', srsId]);
+
+            const insert = db.prepare(`INSERT INTO ${table} (geom${columns.map(c => `, ${quote(c.name)}`).join('')}) ` +
+                `VALUES (?${columns.map(() => ', ?').join('')})`);
+            features.forEach(feature => {
+                insert.run([
+                    this.geometryBlob(this.polygons(feature), srsId),
+                    ...columns.map(c => this.formatValue(feature.properties?.[c.name], c.type))
+                ]);
+            });
+            insert.free();
+
+            return { filename: this.filename(options), content: db.export(), mimeType: this.mimeType };
+        } finally {
+            db.close();
+        }
+    }
+
+    /**
+     * GeoPackage binary: 'GP' header with srs_id and XY envelope, then little-endian WKB MultiPolygon
+     */
+    geometryBlob(polygons, srsId) {
+        const points = polygons.flat(2).length;
+        const rings = polygons.flat().length;
+        const wkbLength = 9 + polygons.length * 9 + rings * 4 + points * 16;
+        const view = new DataView(new ArrayBuffer(40 + wkbLength));
+
+        view.setUint8(0, 0x47);  // G
+        view.setUint8(1, 0x50);  // P
+        view.setUint8(2, 0);     // version 1
+        view.setUint8(3, 0x03);  // little endian, XY envelope
+        view.setInt32(4, srsId, true);
+        const [minX, minY, maxX, maxY] = this.bounds(polygons.flat());
+        [minX, maxX, minY, maxY].forEach((v, i) => view.setFloat64(8 + i * 8, v, true));
+
+        let at = 40;
+        const header = type => {
+            view.setUint8(at, 1);
+            view.setUint32(at + 1, type, true);
+            at += 5;
+        };
+        header(6);
+        view.setUint32(at, polygons.length, true);
+        at += 4;
+        polygons.forEach(polygon => {
+            header(3);
+            view.setUint32(at, polygon.length, true);
+            at += 4;
+            polygon.forEach(ring => {
+                view.setUint32(at, ring.length, true);
+                at += 4;
+                ring.forEach(([x, y]) => {
+                    view.setFloat64(at, x, true);
+                    view.setFloat64(at + 8, y, true);
+                    at += 16;
+                });
+            });
+        });
+        return new Uint8Array(view.buffer);
+    }
+}
+
+// CRC-32 (IEEE) lookup table for zip entries
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Uncompressed (stored) zip archive of [{ name, data }] where data is a string or Uint8Array
+ */
+function createZip(files) {
+    const encoder = new TextEncoder();
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+    const entries = files.map(file => {
+        const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+        return { name: encoder.encode(file.name), data, crc: crc32(data) };
+    });
+    const localSize = entries.reduce((sum, e) => sum + 30 + e.name.length + e.data.length, 0);
+    const centralSize = entries.reduce((sum, e) => sum + 46 + e.name.length, 0);
+    const zip = new Uint8Array(localSize + centralSize + 22);
+    const view = new DataView(zip.buffer);
+
+    const writeEntryFields = (at, entry) => {
+        view.setUint16(at, 20, true);          // version needed
+        view.setUint16(at + 2, 0x0800, true);  // UTF-8 names
+        view.setUint16(at + 4, 0, true);       // stored
+        view.setUint16(at + 6, dosTime, true);
+        view.setUint16(at + 8, dosDate, true);
+        view.setUint32(at + 10, entry.crc, true);
+        view.setUint32(at + 14, entry.data.length, true);
+        view.setUint32(at + 18, entry.data.length, true);
+        view.setUint16(at + 22, entry.name.length, true);
+        view.setUint16(at + 24, 0, true);
+    };
+
+    let at = 0;
+    entries.forEach(entry => {
+        entry.offset = at;
+        view.setUint32(at, 0x04034B50, true);
+        writeEntryFields(at + 4, entry);
+        zip.set(entry.name, at + 30);
+        zip.set(entry.data, at + 30 + entry.name.length);
+        at += 30 + entry.name.length + entry.data.length;
+    });
+
+    entries.forEach(entry => {
+        view.setUint32(at, 0x02014B50, true);
+        view.setUint16(at + 4, 20, true);      // version made by
+        writeEntryFields(at + 6, entry);
+        view.setUint32(at + 42, entry.offset, true);
+        zip.set(entry.name, at + 46);
+        at += 46 + entry.name.length;
+    });
+
+    view.setUint32(at, 0x06054B50, true);
+    view.setUint16(at + 8, entries.length, true);
+    view.setUint16(at + 10, entries.length, true);
+    view.setUint32(at + 12, centralSize, true);
+    view.setUint32(at + 16, localSize, true);
+    return zip;
+}
+
+const EXPORTER_TYPES = {
+    'geojson': GeoJsonExporter,
+    'shapefile': ShapefileExporter,
+    'dxf': DxfExporter,
+    'geopackage': GeoPackageExporter
+};
+
+/**
+ * Build an exporter from a format name or config object ({ type, ...options })
+ */
+function createExporter(config = {}) {
+    if (config instanceof BoundaryExporter) return config;
+
+    const type = typeof config === 'string' ? config : config.type;
+    const ExporterClass = EXPORTER_TYPES[type];
+    if (!ExporterClass) {
+        throw new Error(`Unknown export format: ${type}`);
+    }
+
+    return new ExporterClass(typeof config === 'string' ? {} : config);
+}
@@ -0,0 +1,344 @@
+/**
+ * Offline Parcel Cache
+ * IndexedDB store of downloaded boundary FeatureCollections, keyed by web-mercator tile
+ * CachedBoundaryProvider wraps any boundary provider and serves from the cache when
+ * the tile is fresh or the device is offline
+ */
+
+class ParcelCache {
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'propertyview-parcels';
+        this.storeName = 'tiles';
+        this.zoom = options.zoom || 18;                                   // ~115 m tiles at NZ latitudes
+        this.ttlMs = (options.ttlHours ?? 168) * 3600 * 1000;             // 7 days
+        this.maxEntries = options.maxEntries || 2000;
+        this.maxBytes = (options.maxMegabytes || 50) * 1024 * 1024;
+        this.dbPromise = null;
+    }
+
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(this.storeName, { keyPath: 'key' });
+                    store.createIndex('lastAccess', 'lastAccess');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async transaction(mode, work) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, mode);
+            const store = tx.objectStore(this.storeName);
+            let result;
+            Promise.resolve(work(store, value => { result = value; })).catch(reject);
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * Read a tile record and bump its lastAccess for LRU eviction
+     */
+    get(key) {
+        return this.transaction('readwrite', (store, done) => {
+            const request = store.get(key);
+            request.onsuccess = () => {
+                const record = request.result || null;
+                if (record) {
+                    record.lastAccess = Date.now();
+                    store.put(record);
+                }
+                done(record);
+            };
+        });
+    }
+
+    async put(record) {
+        const [stored] = await this.putMany([record]);
+        return stored;
+    }
+
+    /**
+     * Write records in one transaction, then prune once - pass prune: false when the caller
+     * prunes after a larger batch of writes
+     */
+    async putMany(records, { prune = true } = {}) {
+        const now = Date.now();
+        const stored = records.map(record => ({
+            ...record,
+            lastAccess: now,
+            fetchedAt: record.fetchedAt || now,
+            size: JSON.stringify(record.features).length
+        }));
+        await this.transaction('readwrite', store => stored.forEach(record => store.put(record)));
+        if (prune) await this.prune();
+        return stored;
+    }
+
+    getAll() {
+        return this.transaction('readonly', (store, done) => {
+            const request = store.getAll();
+            request.onsuccess = () => done(request.result || []);
+        });
+    }
+
+    /**
+     * Evict least recently used, unpinned tiles until within entry and size limits
+     */
+    async prune() {
+        const records = await this.getAll();
+        let count = records.length;
+        let bytes = records.reduce((sum, r) => sum + (r.size || 0), 0);
+        if (count <= this.maxEntries && bytes <= this.maxBytes) return 0;
+
+        const evictable = records
+            .filter(r => !r.pinned)
+            .sort((a, b) => a.lastAccess - b.lastAccess);
+
+        const evicted = [];
+        for (const record of evictable) {
+            if (count <= this.maxEntries && bytes <= this.maxBytes) break;
+            evicted.push(record.key);
+            count--;
+            bytes -= record.size || 0;
+        }
+
+        await this.transaction('readwrite', store => evicted.forEach(key => store.delete(key)));
+        console.log(`Parcel cache: evicted ${evicted.length} tiles`);
+        return evicted.length;
+    }
+
+    clear() {
+        return this.transaction('readwrite', store => { store.clear(); });
+    }
+
+    async stats() {
+        const records = await this.getAll();
+        return {
+            tiles: records.length,
+            pinned: records.filter(r => r.pinned).length,
+            bytes: records.reduce((sum, r) => sum + (r.size || 0), 0)
+        };
+    }
+
+    isFresh(record) {
+        return !!record && (Date.now() - record.fetchedAt) < this.ttlMs;
+    }
+
+    tileKey(source, tile) {
+        return `${source}/${tile.z}/${tile.x}/${tile.y}`;
+    }
+
+    /**
+     * Short key prefix for a provider - its name plus a hash of the url / layer it reads,
+     * so two WFS or ArcGIS sources never serve each other's tiles
+     */
+    sourceKey(provider) {
+        const id = typeof provider.sourceId === 'function' ? provider.sourceId() : provider.name;
+        let hash = 0x811c9dc5;  // FNV-1a
+        for (let i = 0; i < id.length; i++) {
+            hash = Math.imul(hash ^ id.charCodeAt(i), 0x01000193);
+        }
+        return `${provider.name}-${(hash >>> 0).toString(16)}`;
+    }
+
+    /**
+     * Tiles at this.zoom covering bbox ({ minLon, minLat, maxLon, maxLat })
+     */
+    tilesForBoundingBox(bbox) {
+        const z = this.zoom;
+        const n = Math.pow(2, z);
+        const lonToX = lon => Math.floor((lon + 180) / 360 * n);
+        const latToY = lat => {
+            const rad = lat * Math.PI / 180;
+            return Math.floor((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2 * n);
+        };
+
+        const tiles = [];
+        for (let x = lonToX(bbox.minLon); x <= lonToX(bbox.maxLon); x++) {
+            for (let y = latToY(bbox.maxLat); y <= latToY(bbox.minLat); y++) {
+                tiles.push({ z, x, y, bbox: this.tileBounds(x, y, z) });
+            }
+        }
+        return tiles;
+    }
+
+    tileBounds(x, y, z) {
+        const n = Math.pow(2, z);
+        const yToLat = ty => Math.atan(Math.sinh(Math.PI * (1 - 2 * ty / n))) * 180 / Math.PI;
+        return {
+            minLon: x / n * 360 - 180,
+            maxLon: (x + 1) / n * 360 - 180,
+            minLat: yToLat(y + 1),
+            maxLat: yToLat(y)
+        };
+    }
+}
+
+/**
+ * Boundary provider decorator that reads through the ParcelCache
+ */
+class CachedBoundaryProvider extends BoundaryProvider {
+    constructor(provider, cache, options = {}) {
+        super({ name: provider.name, ...options });
+        this.provider = provider;
+        this.cache = cache;
+        this.cacheSource = cache.sourceKey(provider);
+        this.maxTilesPerRequest = options.maxTilesPerRequest || 25;
+        this.maxOfflineTiles = options.maxOfflineTiles || 400;
+    }
+
+    isOnline() {
+        return typeof navigator === 'undefined' || navigator.onLine !== false;
+    }
+
+    async fetchBoundaries(bbox) {
+        const tiles = this.cache.tilesForBoundingBox(bbox);
+        if (tiles.length > this.maxTilesPerRequest) {
+            return this.provider.fetchBoundaries(bbox);
+        }
+
+        let records;
+        try {
+            records = await Promise.all(tiles.map(t => this.cache.get(this.cache.tileKey(this.cacheSource, t))));
+        } catch (error) {
+            console.warn('Parcel cache unavailable, fetching directly:', error);
+            return this.provider.fetchBoundaries(bbox);
+        }
+
+        let online = this.isOnline();
+        const missing = tiles.filter((t, i) => !records[i] || (online && !this.cache.isFresh(records[i])));
+
+        if (missing.length && online) {
+            let fetched = null;
+            try {
+                fetched = await this.fetchTileRecords(missing, false);
+                if (!fetched) {
+                    // Too dense to cache reliably - serve the live (possibly truncated) response
+                    return this.filterByBoundingBox(await this.provider.fetchBoundaries(bbox), bbox);
+                }
+            } catch (error) {
+                if (!records.some(Boolean)) throw error;
+                console.warn('Boundary provider unreachable, serving cached parcels:', error);
+                online = false;
+            }
+
+            if (fetched) {
+                // A failed write (quota, aborted transaction, private mode) still serves the live parcels
+                const stored = await this.storeRecords(fetched).catch(error => {
+                    console.warn('Parcel cache write failed, serving live parcels:', error);
+                    return fetched;
+                });
+                const byKey = new Map(stored.map(record => [record.key, record]));
+                tiles.forEach((t, i) => {
+                    const key = this.cache.tileKey(this.cacheSource, t);
+                    if (byKey.has(key)) records[i] = byKey.get(key);
+                });
+            }
+        }
+
+        const available = records.filter(Boolean);
+        if (!available.length) {
+            throw new Error('Offline and this area has not been downloaded for offline use');
+        }
+
+        const collection = this.filterByBoundingBox(this.mergeRecords(available), bbox);
+        collection.metadata = {
+            ...collection.metadata,
+            provider: this.name,
+            fromCache: missing.length === 0 || !online,
+            offline: !online,
+            cachedAt: new Date(Math.min(...available.map(r => r.fetchedAt))).toISOString(),
+            missingTiles: records.length - available.length
+        };
+        return collection;
+    }
+
+    /**
+     * Fetch the union bbox of tiles in one request and split it into per-tile records
+     * Returns null when the provider truncated the response (nothing to cache)
+     */
+    async fetchTileRecords(tiles, pinned) {
+        const union = tiles.reduce((acc, t) => ({
+            minLon: Math.min(acc.minLon, t.bbox.minLon),
+            minLat: Math.min(acc.minLat, t.bbox.minLat),
+            maxLon: Math.max(acc.maxLon, t.bbox.maxLon),
+            maxLat: Math.max(acc.maxLat, t.bbox.maxLat)
+        }), { minLon: Infinity, minLat: Infinity, maxLon: -Infinity, maxLat: -Infinity });
+
+        const collection = await this.provider.fetchBoundaries(union);
+        if (collection.metadata?.truncated) return null;
+
+        const records = [];
+        for (const tile of tiles) {
+            const key = this.cache.tileKey(this.cacheSource, tile);
+            const features = this.filterByBoundingBox(collection, tile.bbox).features;
+            const existing = pinned ? null : await this.cache.get(key).catch(() => null);
+            records.push({
+                key,
+                provider: this.name,
+                z: tile.z, x: tile.x, y: tile.y,
+                features,
+                fetchedAt: Date.now(),
+                pinned: pinned || !!existing?.pinned
+            });
+        }
+
+        return records;
+    }
+
+    storeRecords(records, prune = true) {
+        return this.cache.putMany(records, { prune });
+    }
+
+    mergeRecords(records) {
+        const seen = new Set();
+        const features = [];
+        records.forEach(record => record.features.forEach(feature => {
+            const key = feature.id ?? JSON.stringify(feature.geometry.coordinates);
+            if (seen.has(key)) return;
+            seen.add(key);
+            features.push(feature);
+        }));
+        return this.normalizeFeatureCollection({ type: 'FeatureCollection', features });
+    }
+
+    /**
+     * Download every tile in bbox and pin it for offline use
+     */
+    async downloadArea(bbox, onProgress = () => {}) {
+        const tiles = this.cache.tilesForBoundingBox(bbox);
+        if (tiles.length > this.maxOfflineTiles) {
+            throw new Error(`Area too large for offline download (${tiles.length} tiles, max ${this.maxOfflineTiles})`);
+        }
+
+        // Fetch in small batches so dense areas stay under the provider's paging ceiling
+        const batchSize = 4;
+        let done = 0;
+        let skipped = 0;
+        for (let i = 0; i < tiles.length; i += batchSize) {
+            const batch = tiles.slice(i, i + batchSize);
+            const records = await this.fetchTileRecords(batch, true);
+            if (records) await this.storeRecords(records, false);
+            else skipped += batch.length;
+            done += batch.length;
+            onProgress(done, tiles.length);
+        }
+
+        // Once per download - pruning scans the whole store
+        await this.cache.prune();
+        return { tiles: tiles.length, skipped };
+    }
+}
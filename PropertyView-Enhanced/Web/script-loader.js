@@ -0,0 +1,29 @@
+/**
+ * Script Loader
+ * Injects optional libraries (geotiff.js, jsPDF, sql.js) the first time a feature needs them,
+ * so the map does not wait on CDN downloads most sessions never use
+ */
+
+const loadedScripts = new Map();  // src -> promise of the script's load event
+
+/**
+ * Load a classic script once - later calls for the same src share the first request
+ */
+function loadScript(src) {
+    if (!loadedScripts.has(src)) {
+        const promise = new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = src;
+            script.async = true;
+            script.onload = () => resolve();
+            script.onerror = () => {
+                script.remove();
+                reject(new Error(`Failed to load ${src}`));
+            };
+            document.head.appendChild(script);
+        });
+        promise.catch(() => loadedScripts.delete(src));
+        loadedScripts.set(src, promise);
+    }
+    return loadedScripts.get(src);
+}
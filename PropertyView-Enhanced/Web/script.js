@@ -4,12 +4,73 @@ const LOCATIONIQ_KEY = window.LOCATIONIQ_API_KEY || ""; // LocationIQ API for ad
 const GOOGLE_KEY = window.GOOGLE_API_KEY || ""; // Google API for enhanced geolocation
 const SEARCH_RADIUS_M = 150;                    // Enhanced search radius
 
+// Boundary data source (see boundary-providers.js) - LINZ WFS unless overridden, e.g.
+//   { type: "wfs", url: "https://<council>/geoserver/wfs", typeName: "cadastre:parcels" }
+//   { type: "linz-wfs", count: 100, maxFeatures: 1000 }   // WFS page size / paging ceiling
+//   { type: "geojson-file", url: "fixtures/parcels.geojson" }
+//   { type: "fixture", data: <FeatureCollection> }
+const BOUNDARY_PROVIDER = window.BOUNDARY_PROVIDER || { type: "linz-wfs" };
+
+// Offline parcel cache (IndexedDB, see parcel-cache.js) - set window.PARCEL_CACHE = false to disable
+const PARCEL_CACHE = window.PARCEL_CACHE ?? { ttlHours: 168, maxEntries: 2000, maxMegabytes: 50 };
+
+// AR boundary simplification - guaranteed max deviation in metres ("douglas-peucker" or "visvalingam")
+const AR_SIMPLIFICATION = window.AR_SIMPLIFICATION || { toleranceMeters: 0.05, method: "douglas-peucker" };
+
+// Ground heights for AR vertices (see elevation-sources.js) - flat unless overridden, e.g.
+//   { type: "linz-dem", url: "https://nz-elevation.s3.ap-southeast-2.amazonaws.com/wellington/wellington_2013-2014/dem_1m/2193/{sheet}.tiff" }
+//   { type: "geotiff", url: "dem/site-survey.tif", srsName: "EPSG:2193", densifyMeters: 2 }
+//   { type: "constant", altitude: 0 }
+const ELEVATION_SOURCE = window.ELEVATION_SOURCE || { type: "constant", altitude: 0 };
+
+// Default building setbacks in metres by edge type; overrides are keyed by edge number ("3") or part.edge ("2.3")
+const SETBACKS = window.SETBACKS || { front: 3.0, side: 1.5, rear: 1.5, overrides: {} };
+
 // Initialize coordinate processor for AR support
 let coordinateProcessor = null;
 let googleGeoManager = null;
 
+function createCoordinateProcessor(apiKey) {
+    const cache = PARCEL_CACHE && typeof ParcelCache !== 'undefined' && ParcelCache.isSupported()
+        ? new ParcelCache(PARCEL_CACHE) : null;
+    return new CoordinateProcessor(apiKey, {
+        provider: BOUNDARY_PROVIDER,
+        cache,
+        simplification: AR_SIMPLIFICATION,
+        elevation: ELEVATION_SOURCE,
+        setbacks: SETBACKS
+    });
+}
+
 // Check for LINZ API key and initialize or prompt user
 function initializeLINZIntegration() {
+    // Non-LINZ providers don't need a LINZ key
+    if (!usesLINZProvider()) {
+        if (!coordinateProcessor) coordinateProcessor = createCoordinateProcessor(null);
+        console.log('Boundary provider initialized:', BOUNDARY_PROVIDER.type);
+        return true;
+    }
+
+    const apiKey = findLINZKey();
+    if (apiKey) {
+        useLINZKey(apiKey);
+        console.log('LINZ integration initialized successfully with key:', apiKey.substring(0, 8) + '...');
+        // Don't set status text here - let automatic location detection handle it
+        return true;
+    } else {
+        console.log('No LINZ API key found, prompting user');
+        // Prompt user for API key
+        promptForLINZKey();
+        return false;
+    }
+}
+
+function usesLINZProvider() {
+    return !BOUNDARY_PROVIDER.type || BOUNDARY_PROVIDER.type === 'linz-wfs';
+}
+
+// Environment, ?linz_key= or a previously saved key - without prompting
+function findLINZKey() {
     const storedKey = localStorage.getItem('linz_api_key');
     const envKey = window.LINZ_API_KEY;
     const urlKey = new URLSearchParams(window.location.search).get('linz_key');
@@ -23,20 +84,23 @@ function initializeLINZIntegration() {
         finalKey: !!apiKey
     });
     
-    if (apiKey && apiKey.trim()) {
-        coordinateProcessor = new CoordinateProcessor(apiKey.trim());
-        if (urlKey && urlKey !== storedKey) {
-            localStorage.setItem('linz_api_key', urlKey.trim());
-        }
-        console.log('LINZ integration initialized successfully with key:', apiKey.substring(0, 8) + '...');
-        // Don't set status text here - let automatic location detection handle it
-        return true;
-    } else {
-        console.log('No LINZ API key found, prompting user');
-        // Prompt user for API key
-        promptForLINZKey();
-        return false;
+    if (!apiKey || !apiKey.trim()) return null;
+    if (urlKey && urlKey !== storedKey) {
+        localStorage.setItem('linz_api_key', urlKey.trim());
     }
+    return apiKey.trim();
+}
+
+// A processor made for a file import has no key - LINZ lookups treat it as missing
+function linzKeyMissing() {
+    return !coordinateProcessor || (usesLINZProvider() && !coordinateProcessor.apiKey);
+}
+
+// Hand the key to the existing processor (keeping an imported subject) or create one
+function useLINZKey(apiKey) {
+    if (coordinateProcessor) coordinateProcessor.setApiKey(apiKey);
+    else coordinateProcessor = createCoordinateProcessor(apiKey);
+    if (historyBtn) updateHistoryAccess();
 }
 
 function promptForLINZKey() {
@@ -48,7 +112,7 @@ function promptForLINZKey() {
     
     if (apiKey && apiKey.trim()) {
         localStorage.setItem('linz_api_key', apiKey.trim());
-        coordinateProcessor = new CoordinateProcessor(apiKey.trim());
+        useLINZKey(apiKey.trim());
         setTopText("Property: <strong>LINZ API key saved! Finding your location...</strong>");
         // Restart automatic location detection after saving key
         setTimeout(() => getUserLocationAutomatically(), 500);
@@ -66,14 +130,53 @@ const FIT_PADDING_PX = 24;            // padding around subject bounds
 const FIT_MAX_ZOOM = 18;              // cap zoom when fitting
 
 // Optional: District Plan zoning via WFS (configure per council/vendor)
+// Defaults for every council below, and the catch-all endpoint when no council matches. NZ has no
+// national zone layer, so the catch-all stays empty unless window.ZONING_WFS supplies one
 const ZONING_WFS = {
   url: "",                             // e.g. "https://<council>/geoserver/wfs"
   typeName: "",                        // e.g. "plan:district_zones"
-  srsName: "EPSG:4326",
+  srsName: "EPSG:4326",                // or "EPSG:2193" - zones are reprojected for the map
   propertyKeys: ["zone","Zone","ZONE","ZONING","Zoning","ZONE_NAME","planning_zone","PlanningZone","zone_desc"],
-  searchRadiusM: 60
+  searchRadiusM: 60,
+  ...window.ZONING_WFS
 };
 
+// District plan zone layers by territorial authority, read by ZoningLookup (zoning.js). The subject's TA
+// (parcel attribute or TERRITORIAL_AUTHORITY_WFS) picks the council by name, else the smallest `bounds`
+// containing it. Council endpoints and attribute names change with each plan review, so none ship -
+// deployments list the layers they have checked in window.ZONING_COUNCILS, e.g.
+//   { name: "Wellington City", bounds: [174.60, -41.37, 174.90, -41.14], type: "arcgis",
+//     url: "https://<council gis>/arcgis/rest/services/<district plan>/MapServer/<zones layer>", propertyKeys: ["Zone"] }
+//   { name: "Hamilton City", bounds: [...], url: "https://<council>/geoserver/wfs", typeName: "plan:zones" }
+const ZONING_COUNCILS = window.ZONING_COUNCILS || [];
+
+// Optional TA boundary layer for parcels that don't carry their territorial authority, e.g. a
+// Stats NZ Datafinder territorial authority layer ({key} in the url is filled from apiKey):
+//   { name: "Territorial authorities", url: "https://datafinder.stats.govt.nz/services;key={key}/wfs",
+//     typeName: "<layer id>", srsName: "EPSG:4326", nameKeys: ["<TA name attribute>"], apiKey: "<key>" }
+const TERRITORIAL_AUTHORITY_WFS = window.TERRITORIAL_AUTHORITY_WFS || null;
+
+// Hazard overlays intersected with the subject (flood extents, liquefaction, coastal inundation), e.g.
+//   { id: "flood-100", name: "1-in-100 flood extent", type: "wfs", url: "https://<council>/geoserver/wfs",
+//     typeName: "hazards:flood_1pc_aep", srsName: "EPSG:2193", color: "#0a84ff" }
+//   { id: "liquefaction", name: "liquefaction zone", type: "geojson-file", url: "data/liquefaction.geojson",
+//     classKey: "category", color: "#ff9f0a", visible: false }
+const HAZARD_OVERLAYS = window.HAZARD_OVERLAYS || [];
+
+// Dated imagery for the History slider, ordered by `date`. Tile URLs are Leaflet templates and {api} is
+// filled with the LINZ Basemaps key. Only the published "aerial" basemap ships; deployments add dated surveys
+// through window.IMAGERY_HISTORY, e.g.
+//   { date: "1940", label: "Historical aerial 1940s", url: LINZ_IMAGERY("<imagery set id>"), attribution: "© LINZ CC BY 4.0" }
+const LINZ_IMAGERY = set => `https://basemaps.linz.govt.nz/v1/tiles/${set}/WebMercatorQuad/{z}/{x}/{y}.webp?api={api}`;
+const IMAGERY_HISTORY = window.IMAGERY_HISTORY || [
+  { date: String(new Date().getFullYear()), label: "Latest aerial", url: LINZ_IMAGERY("aerial"),
+    attribution: "© LINZ CC BY 4.0", maxZoom: 22 }
+];
+
+// Base of shared view links - the page itself when served over http(s); the native apps open propertyview:// links
+const SHARE_BASE_URL = window.SHARE_BASE_URL ||
+  (/^https?:$/.test(location.protocol) ? `${location.origin}${location.pathname}` : "propertyview://map");
+
 // --- Enhanced Map Setup (Will be initialized after DOM is ready) ----------------------
 let map, subjectProperty, neighborProperties, baseLayers;
 
@@ -82,7 +185,9 @@ let showNeighbors = true;
 let currentSatelliteLayer = null;
 
 // --- Enhanced UI Controls --------------------------------------------------------
-let statusEl, exportBtn, neighborsBtn, satelliteBtn;
+let statusEl, exportBtn, exportMenu, neighborsBtn, satelliteBtn, offlineBtn, edgesBtn, edgePanel;
+let measureBtn, measurePanel, setbacksBtn, setbackPanel, inspectorBtn, inspectorPanel;
+let historyBtn, historyPanel, historySwipe, importBtn, importInput, shareBtn, toolsBtn, toolsMenu;
 
 function createFloatingControls() {
   // Enhanced property status display
@@ -120,16 +225,147 @@ function createFloatingControls() {
   alignmentButton.style.top = '180px';
   document.body.appendChild(alignmentButton);
   
-  // Export KML button
+  // Export button - opens the format / coordinate system menu
   const exportButton = document.createElement('button');
   exportButton.className = 'floating-btn';
   exportButton.id = 'pv-export';
-  exportButton.textContent = 'Export KML';
+  exportButton.textContent = 'Export';
   exportButton.disabled = true;
   exportButton.style.top = '230px';
   document.body.appendChild(exportButton);
   exportBtn = exportButton;
 
+  const exportMenuDiv = document.createElement('div');
+  exportMenuDiv.className = 'export-menu';
+  exportMenuDiv.id = 'pv-export-menu';
+  exportMenuDiv.style.top = '230px';
+  exportMenuDiv.innerHTML = `
+    <select data-export="srs">${EXPORT_CRS.map(c => `<option value="${c.srsName}">${c.label}</option>`).join("")}</select>
+    <label><input type="checkbox" data-export="neighbours"> Include neighbours</label>
+    ${EXPORT_FORMATS.map(f => `<button data-format="${f.format}">${f.label}</button>`).join("")}`;
+  document.body.appendChild(exportMenuDiv);
+  exportMenu = exportMenuDiv;
+
+  // Secondary tools live in one menu that opens left of the Tools button, like the export menu
+  const toolsButton = document.createElement('button');
+  toolsButton.className = 'floating-btn';
+  toolsButton.id = 'pv-tools';
+  toolsButton.textContent = 'Tools';
+  toolsButton.style.top = '280px';
+  document.body.appendChild(toolsButton);
+  toolsBtn = toolsButton;
+
+  const toolsMenuDiv = document.createElement('div');
+  toolsMenuDiv.className = 'tools-menu';
+  toolsMenuDiv.id = 'pv-tools-menu';
+  toolsMenuDiv.style.top = '280px';
+  document.body.appendChild(toolsMenuDiv);
+  toolsMenu = toolsMenuDiv;
+
+  // Download current view for offline use
+  const offlineButton = document.createElement('button');
+  offlineButton.id = 'pv-offline';
+  offlineButton.textContent = 'Save Offline';
+  toolsMenuDiv.appendChild(offlineButton);
+  offlineBtn = offlineButton;
+
+  // Edge table (length, bearing, interior angle) for the subject parcel
+  const edgesButton = document.createElement('button');
+  edgesButton.id = 'pv-edges';
+  edgesButton.textContent = 'Edges';
+  edgesButton.disabled = true;
+  toolsMenuDiv.appendChild(edgesButton);
+  edgesBtn = edgesButton;
+
+  const edgePanelDiv = document.createElement('div');
+  edgePanelDiv.className = 'edge-panel';
+  edgePanelDiv.id = 'pv-edge-panel';
+  document.body.appendChild(edgePanelDiv);
+  edgePanel = edgePanelDiv;
+
+  // Measure distance / area
+  const measureButton = document.createElement('button');
+  measureButton.id = 'pv-measure';
+  measureButton.textContent = 'Measure';
+  toolsMenuDiv.appendChild(measureButton);
+  measureBtn = measureButton;
+
+  const measurePanelDiv = document.createElement('div');
+  measurePanelDiv.className = 'measure-panel';
+  measurePanelDiv.id = 'pv-measure-panel';
+  document.body.appendChild(measurePanelDiv);
+  measurePanel = measurePanelDiv;
+
+  // Setback distances and the resulting buildable envelope
+  const setbacksButton = document.createElement('button');
+  setbacksButton.id = 'pv-setbacks';
+  setbacksButton.textContent = 'Setbacks';
+  setbacksButton.disabled = true;
+  toolsMenuDiv.appendChild(setbacksButton);
+  setbacksBtn = setbacksButton;
+
+  const setbackPanelDiv = document.createElement('div');
+  setbackPanelDiv.className = 'setback-panel';
+  setbackPanelDiv.id = 'pv-setback-panel';
+  document.body.appendChild(setbackPanelDiv);
+  setbackPanel = setbackPanelDiv;
+
+  // Attribute inspector for the subject / hovered neighbour
+  const inspectorButton = document.createElement('button');
+  inspectorButton.id = 'pv-inspector';
+  inspectorButton.textContent = 'Attributes';
+  inspectorButton.disabled = true;
+  toolsMenuDiv.appendChild(inspectorButton);
+  inspectorBtn = inspectorButton;
+
+  const inspectorPanelDiv = document.createElement('div');
+  inspectorPanelDiv.className = 'inspector-panel';
+  inspectorPanelDiv.id = 'pv-inspector-panel';
+  document.body.appendChild(inspectorPanelDiv);
+  inspectorPanel = inspectorPanelDiv;
+
+  // Dated imagery slider and swipe comparison
+  const historyButton = document.createElement('button');
+  historyButton.id = 'pv-history';
+  historyButton.textContent = 'History';
+  toolsMenuDiv.appendChild(historyButton);
+  historyBtn = historyButton;
+  updateHistoryAccess();
+
+  const historyPanelDiv = document.createElement('div');
+  historyPanelDiv.className = 'history-panel';
+  historyPanelDiv.id = 'pv-history-panel';
+  document.body.appendChild(historyPanelDiv);
+  historyPanel = historyPanelDiv;
+
+  const historySwipeDiv = document.createElement('div');
+  historySwipeDiv.className = 'history-swipe';
+  historySwipeDiv.id = 'pv-history-swipe';
+  historySwipeDiv.innerHTML = '<div class="history-swipe-handle">⇔</div>';
+  document.body.appendChild(historySwipeDiv);
+  historySwipe = historySwipeDiv;
+
+  // Import a surveyor's KML / GeoJSON / GPX boundary (also accepts files dropped on the map)
+  const importButton = document.createElement('button');
+  importButton.id = 'pv-import';
+  importButton.textContent = 'Import';
+  toolsMenuDiv.appendChild(importButton);
+  importBtn = importButton;
+
+  // Share a link that reopens this view, subject selection and AR points
+  const shareButton = document.createElement('button');
+  shareButton.id = 'pv-share';
+  shareButton.textContent = 'Share';
+  toolsMenuDiv.appendChild(shareButton);
+  shareBtn = shareButton;
+
+  const importFileInput = document.createElement('input');
+  importFileInput.type = 'file';
+  importFileInput.accept = '.kml,.geojson,.json,.gpx';
+  importFileInput.style.display = 'none';
+  document.body.appendChild(importFileInput);
+  importInput = importFileInput;
+
   // AR View button (bottom of screen)
   const arButton = document.createElement('button');
   arButton.className = 'ar-view-btn';
@@ -146,6 +382,21 @@ let subjectPin = null;
 let subjectFeature = null;
 let currentQueryLatLng = null;
 let subjectCenterLatLng = null;
+let edgeLabels = null;   // Leaflet layer group of edge length/bearing labels
+let subjectEdges = [];
+let envelopeLayer = null;  // buildable envelope inside the subject setbacks
+let loadedParcels = [];    // every parcel in the last boundary response
+let subjectParcels = [];   // parcels dissolved into the subject (shift-click / long-press adds more)
+let boundarySourceNote = "";
+let titleNote = "";        // Record of Title summary from the second LINZ query
+let zoneNote = "";         // district plan zone of the subject
+let zoningLayer = null;    // zone polygons around the subject
+let hazardNote = "";       // per-overlay share of the subject
+let hazardLayers = [];     // one map layer per HAZARD_OVERLAYS entry
+let subjectAddress = "";   // from the native reverse geocoding bridge, when available
+let addressRequestId = 0;  // latest reverse geocoding request - older replies are dropped
+let snapshotTileLayers = [];  // CORS tile copies while the report map is captured
+let setbackConfig = { ...SETBACKS, overrides: { ...SETBACKS.overrides } };
 
 // AR Alignment state
 let alignmentMode = false;
@@ -160,7 +411,10 @@ function updateSubjectPin(latlng) {
 }
 
 function setTopText(html) { if (statusEl) statusEl.innerHTML = html; }
-function setZoneText(html) { if (statusEl) statusEl.innerHTML = html; }
+function setZoneText(html) {
+  zoneNote = html;
+  showSubjectStatus();
+}
 
 // Enhanced utility functions - Fixed for actual LINZ property field names
 function getAppellation(props) {
@@ -187,8 +441,16 @@ function getAppellation(props) {
   return null;
 }
 
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, c => ({
+    "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;"
+  })[c]);
+}
+
 function calculateArea(feature) {
   try {
+    // Same WGS84 ellipsoidal area the AR payload uses
+    if (coordinateProcessor) return coordinateProcessor.calculatePropertyArea(feature);
     return turf.area(feature);
   } catch (e) {
     return 0;
@@ -201,20 +463,24 @@ let currentMapLayer = 0; // 0=OSM, 1=LINZ, 2=Satellite
 const mapLayerNames = ["OpenStreetMap", "LINZ Topographic", "Esri Satellite"];
 
 function toggleMapLayers() {
+  let next = (currentMapLayer + 1) % mapLayerNames.length;
+  
+  // Skip LINZ if no API key available
+  if (mapLayerNames[next] === "LINZ Topographic" && !baseLayers["LINZ Topographic"]) {
+    next = (next + 1) % mapLayerNames.length;
+  }
+  
+  setMapLayer(next);
+}
+
+function setMapLayer(index) {
   // Remove current active layer
   if (currentSatelliteLayer) {
     map.removeLayer(currentSatelliteLayer);
     currentSatelliteLayer = null;
   }
   
-  // Cycle to next layer
-  currentMapLayer = (currentMapLayer + 1) % mapLayerNames.length;
-  
-  // Skip LINZ if no API key available
-  if (mapLayerNames[currentMapLayer] === "LINZ Topographic" && !baseLayers["LINZ Topographic"]) {
-    currentMapLayer = (currentMapLayer + 1) % mapLayerNames.length;
-  }
-  
+  currentMapLayer = index;
   const layerName = mapLayerNames[currentMapLayer];
   
   if (layerName === "OpenStreetMap") {
@@ -265,6 +531,7 @@ function toggleARAlignment() {
   const alignBtn = document.getElementById('ar-alignment');
   
   if (alignmentMode) {
+    if (measureMode) toggleMeasureMode();
     alignmentPoints = [];
     clearAlignmentMarkers();
     addCornerSelectionPins();
@@ -276,8 +543,7 @@ function toggleARAlignment() {
     clearCornerSelectionPins();
     alignBtn.textContent = 'Set AR Points';
     alignBtn.classList.remove('active');
-    const app = getAppellation(subjectFeature?.properties);
-    setTopText(app ? `Property: <strong>${app}</strong>` : "Property: <strong>Found</strong>");
+    showSubjectStatus();
   }
 }
 
@@ -290,7 +556,17 @@ function addAlignmentPoint(latlng) {
   if (alignmentPoints.length >= 2) return;
   
   alignmentPoints.push(latlng);
+  addAlignmentMarker(latlng);
   
+  if (alignmentPoints.length === 1) {
+    setTopText('AR Alignment: <strong>Click second corner</strong>');
+  } else if (alignmentPoints.length === 2) {
+    saveAlignmentPoints();
+    toggleARAlignment();
+  }
+}
+
+function addAlignmentMarker(latlng) {
   const marker = L.circleMarker(latlng, {
     color: '#ff3b30',
     fillColor: '#ff3b30',
@@ -300,13 +576,6 @@ function addAlignmentPoint(latlng) {
   }).addTo(map);
   
   alignmentMarkers.push(marker);
-  
-  if (alignmentPoints.length === 1) {
-    setTopText('AR Alignment: <strong>Click second corner</strong>');
-  } else if (alignmentPoints.length === 2) {
-    saveAlignmentPoints();
-    toggleARAlignment();
-  }
 }
 
 function saveAlignmentPoints() {
@@ -319,7 +588,8 @@ function saveAlignmentPoints() {
         latitude: p.lat,
         longitude: p.lng
       })),
-      boundaries: extractCoordinatesFromFeature(subjectFeature)
+      boundaries: extractCoordinatesFromFeature(subjectFeature),
+      parts: coordinateProcessor ? coordinateProcessor.extractParts(subjectFeature) : []
     },
     timestamp: new Date().toISOString()
   };
@@ -339,31 +609,38 @@ function saveAlignmentPoints() {
 function addCornerSelectionPins() {
   if (!subjectFeature?.geometry) return;
   
-  let coordinates = [];
+  // Outer ring of every part - a lot split by a road gets corners on both sides
+  let polygons = [];
   if (subjectFeature.geometry.type === 'Polygon') {
-    coordinates = subjectFeature.geometry.coordinates[0];
+    polygons = [subjectFeature.geometry.coordinates];
   } else if (subjectFeature.geometry.type === 'MultiPolygon') {
-    coordinates = subjectFeature.geometry.coordinates[0][0];
+    polygons = subjectFeature.geometry.coordinates;
   }
   
-  if (coordinates.length < 3) return;
-  
-  coordinates.slice(0, -1).forEach((coord, index) => {
-    const latlng = L.latLng(coord[1], coord[0]);
-    
-    const pin = L.marker(latlng, {
-      icon: L.divIcon({
-        className: 'corner-selection-pin',
-        html: `<div class="pin-content">
-                 <div class="pin-icon">📍</div>
-                 <div class="pin-label">Corner ${index + 1}</div>
-               </div>`,
-        iconSize: [120, 60],
-        iconAnchor: [60, 50]
-      })
-    }).addTo(map);
-    
-    cornerSelectionPins.push(pin);
+  polygons.forEach((poly, partIndex) => {
+    const coordinates = poly[0] || [];
+    if (coordinates.length < 3) return;
+
+    coordinates.slice(0, -1).forEach((coord, index) => {
+      const latlng = L.latLng(coord[1], coord[0]);
+      const label = polygons.length > 1
+        ? `Part ${partIndex + 1} · Corner ${index + 1}`
+        : `Corner ${index + 1}`;
+      
+      const pin = L.marker(latlng, {
+        icon: L.divIcon({
+          className: 'corner-selection-pin',
+          html: `<div class="pin-content">
+                   <div class="pin-icon">📍</div>
+                   <div class="pin-label">${label}</div>
+                 </div>`,
+          iconSize: [120, 60],
+          iconAnchor: [60, 50]
+        })
+      }).addTo(map);
+      
+      cornerSelectionPins.push(pin);
+    });
   });
 }
 
@@ -421,6 +698,8 @@ function openARView() {
         const neighborCount = arCoords.neighborProperties ? arCoords.neighborProperties.length : 0;
         alert(`AR Ready!\\n\\nSubject Property: ${arCoords.subjectProperty.appellation}\\n` + 
               `Boundary Points: ${boundaryCount}\\n` +
+              `Parts: ${arCoords.metadata.partCount}, Holes: ${arCoords.metadata.holeCount}\\n` +
+              `Boundary accuracy: ±${(arCoords.metadata.simplification.maxDeviationMeters * 100).toFixed(1)} cm\\n` +
               `Neighbor Properties: ${neighborCount}\\n` +
               `Conversion: ${arCoords.metadata.conversionMethod}`);
       }
@@ -436,90 +715,91 @@ function openARView() {
 
 // --- Enhanced Property Rendering System ------------------------------------------
 function renderAndCenter(gj) {
+  const link = pendingDeepLink;   // only the first response after opening a link
+  pendingDeepLink = null;
   subjectProperty.clearLayers();
   neighborProperties.clearLayers();
+  loadedParcels = gj?.features || [];
+  subjectParcels = [];
   
   if (!gj?.features?.length) {
     subjectFeature = null;
     subjectCenterLatLng = null;
     setTopText("Property: <strong>—</strong>");
     exportBtn.disabled = true;
+    renderEdges(null);
+    renderEnvelope(null);
+    renderInspector(null);
+    fetchZoningForSubject(null);
+    analyzeHazards(null);
     return;
   }
 
-  // Find the subject property (closest to click point)
+  // Find the subject property (parcel containing the click point, else nearest edge)
   let subjectFeatureData = gj.features[0];
   if (currentQueryLatLng && gj.features.length > 1) {
-    let bestDistance = Infinity;
-    gj.features.forEach(feature => {
-      if (feature.geometry) {
-        try {
-          const center = turf.centroid(feature).geometry.coordinates;
-          const distance = map.distance([center[1], center[0]], currentQueryLatLng);
-          if (distance < bestDistance) {
-            bestDistance = distance;
-            subjectFeatureData = feature;
-          }
-        } catch (e) { /* ignore */ }
-      }
-    });
-  }
-
-  // Add subject property
-  subjectProperty.addData(subjectFeatureData);
-  
-  // Add neighbors
-  const neighbors = gj.features.filter(f => f !== subjectFeatureData);
-  if (neighbors.length > 0) {
-    neighborProperties.addData({
-      type: "FeatureCollection",
-      features: neighbors
-    });
-    
-    if (showNeighbors && !map.hasLayer(neighborProperties)) {
-      map.addLayer(neighborProperties);
+    if (coordinateProcessor) {
+      subjectFeatureData = coordinateProcessor.selectSubjectFeature(
+        gj.features, currentQueryLatLng.lat, currentQueryLatLng.lng
+      ).feature;
+    } else {
+      const point = turf.point([currentQueryLatLng.lng, currentQueryLatLng.lat]);
+      subjectFeatureData = gj.features.find(f => {
+        try { return turf.booleanPointInPolygon(point, f); } catch (e) { return false; }
+      }) || subjectFeatureData;
     }
   }
 
-  // Update global reference
-  subjectFeature = subjectFeatureData;
+  drawSubjectParcels([subjectFeatureData]);
   const layers = subjectProperty.getLayers();
   if (!layers.length) {
     subjectFeature = null;
     subjectCenterLatLng = null;
     setTopText("Property: <strong>—</strong>");
     exportBtn.disabled = true;
+    renderEdges(null);
+    renderEnvelope(null);
+    renderInspector(null);
+    fetchZoningForSubject(null);
+    analyzeHazards(null);
     return;
   }
 
-  let subjectLayer = layers[0];
-  if (currentQueryLatLng) {
-    let best = Infinity;
-    layers.forEach(l => {
-      const c = l.getBounds().getCenter();
-      const d = map.distance(c, currentQueryLatLng);
-      if (d < best) { best = d; subjectLayer = l; }
-    });
-  }
-
+  const subjectLayer = layers[0];
   subjectFeature = subjectLayer.feature;
   const subjectBounds = subjectLayer.getBounds();
-  const center = subjectBounds.getCenter();
+
+  // Pin and address lookup use an interior label point - bounds/vertex centres can fall outside L-shaped lots
+  let center = subjectBounds.getCenter();
+  if (coordinateProcessor) {
+    const label = coordinateProcessor.calculateLabelPoint(subjectFeature);
+    center = L.latLng(label.latitude, label.longitude);
+  }
   subjectCenterLatLng = center;
 
-  const app = getAppellation(subjectFeature?.properties);
-  
   // Request address via reverse geocoding from iOS bridge
-  if (window.webkit?.messageHandlers?.requestAddress && center) {
-    window.webkit.messageHandlers.requestAddress.postMessage({
-      latitude: center.lat,
-      longitude: center.lng
-    });
-  }
+  if (center) requestSubjectAddress(center);
   
-  setTopText(app ? `Property: <strong>${app}</strong>` : "Property: <strong>Found</strong>");
+  boundarySourceNote = describeBoundarySource(gj);
+  showSubjectStatus();
+  loadSubjectTitles();
+  fetchZoningForSubject(center);
+  analyzeHazards(subjectFeature);
 
   updateSubjectPin(center);
+  renderEdges(subjectFeature);
+  renderEnvelope(subjectFeature);
+  renderInspector();
+  
+  exportBtn.disabled = false;
+  document.getElementById('ar-alignment').disabled = false;
+  document.getElementById('ar-btn').disabled = false;
+
+  // A shared link restores its own selection and view instead of fitting the subject
+  if (link) {
+    restoreDeepLink(link);
+    return;
+  }
   
   // Enhanced auto-zoom with perfect centering
   const zoom = Math.min(FIT_MAX_ZOOM, Math.max(16, map.getBoundsZoom(subjectBounds)));
@@ -530,16 +810,783 @@ function renderAndCenter(gj) {
   
   // Perfect centering after zoom
   setTimeout(() => {
-    map.panTo(center);
+    map.panTo(subjectBounds.getCenter());
   }, 500);
+}
+
+// Selected parcels become one dissolved subject outline; the rest of the response are neighbours
+function drawSubjectParcels(parcels) {
+  subjectParcels = parcels;
+  titleNote = "";
+  zoneNote = "";
+  hazardNote = "";
+  subjectAddress = "";
+  subjectProperty.clearLayers();
+  neighborProperties.clearLayers();
+
+  subjectProperty.addData(parcels.length > 1 ? getProjector().mergeFeatures(parcels) : parcels[0]);
+
+  const neighbors = loadedParcels.filter(f => !parcels.includes(f));
+  if (neighbors.length > 0) {
+    neighborProperties.addData({
+      type: "FeatureCollection",
+      features: neighbors
+    });
+
+    if (showNeighbors && !map.hasLayer(neighborProperties)) {
+      map.addLayer(neighborProperties);
+    }
+  }
+
+  subjectFeature = subjectProperty.getLayers()[0]?.feature || null;
+}
+
+function showSubjectStatus() {
+  if (subjectParcels.length > 1) {
+    const names = subjectParcels.map(f => escapeHtml(getAppellation(f.properties) || "Parcel"));
+    setTopText(`Properties (${names.length}): <strong>${names.join(", ")}</strong>` +
+      `<br><small>Combined area: ${formatArea(calculateArea(subjectFeature))}</small>`);
+  } else {
+    const app = getAppellation(subjectFeature?.properties);
+    setTopText(app ? `Property: <strong>${escapeHtml(app)}</strong>` : "Property: <strong>Found</strong>");
+  }
+  if (subjectAddress) statusEl.innerHTML += `<br><small>${escapeHtml(subjectAddress)}</small>`;
+  if (zoneNote) statusEl.innerHTML += `<br><small>${zoneNote}</small>`;
+  if (hazardNote) statusEl.innerHTML += `<br><small>${hazardNote}</small>`;
+  if (titleNote) statusEl.innerHTML += `<br><small>${titleNote}</small>`;
+  if (boundarySourceNote) statusEl.innerHTML += `<br><small>${boundarySourceNote}</small>`;
+}
+
+// Records of Title for the subject - reference, estate type and issue date
+async function loadSubjectTitles() {
+  titleNote = "";
+  const subject = coordinateProcessor?.getSubjectProperty();
+  if (!subject || !coordinateProcessor.titleConfig) return;
+  if (linzKeyMissing()) {
+    // Imported boundaries - look titles up once a LINZ key is known, without prompting mid-import
+    const apiKey = findLINZKey();
+    if (!apiKey) {
+      titleNote = "Title: LINZ API key required";
+      showSubjectStatus();
+      return;
+    }
+    useLINZKey(apiKey);
+  }
+
+  titleNote = "Title: looking up…";
+  showSubjectStatus();
+  try {
+    const titles = await coordinateProcessor.lookupTitles();
+    if (coordinateProcessor.getSubjectProperty() !== subject) return;
+    titleNote = titles.length ? titles.map(formatTitle).join("<br>") : "Title: none found";
+    // The AR payload was sent before the lookup finished - pass the titles on to the app
+    if (window.webkit?.messageHandlers?.updateTitles) {
+      window.webkit.messageHandlers.updateTitles.postMessage({ appellation: subject.appellation, titles });
+    }
+  } catch (error) {
+    console.warn('Title lookup failed:', error);
+    if (coordinateProcessor.getSubjectProperty() !== subject) return;
+    titleNote = "Title: lookup unavailable";
+  }
+  showSubjectStatus();
+}
+
+function formatTitle(title) {
+  const details = [title.type, title.status];
+  if (title.issueDate) details.push(`issued ${new Date(title.issueDate).toLocaleDateString()}`);
+  const known = details.filter(Boolean).map(escapeHtml).join(" · ");
+  return `Title: <strong>${escapeHtml(title.titleNo)}</strong>${known ? ` (${known})` : ""}`;
+}
+
+// Shift-click / long-press adds a parcel to the subject, or removes one already in it
+async function toggleParcelSelection(latlng) {
+  if (!subjectFeature || !loadedParcels.length) return;
+
+  const hit = getProjector().selectSubjectFeature(loadedParcels, latlng.lat, latlng.lng);
+  if (!hit.contained) return;
+  const parcels = subjectParcels.includes(hit.feature)
+    ? subjectParcels.filter(f => f !== hit.feature)
+    : [...subjectParcels, hit.feature];
+  if (!parcels.length) return;
+
+  await selectSubjectParcels(parcels);
+}
+
+// Clicking a neighbour makes it the subject, reusing the parcels already downloaded
+async function promoteToSubject(feature) {
+  if (!loadedParcels.includes(feature)) return;
+  await selectSubjectParcels([feature]);
+}
+
+// Redraw the map, status and tools for a new subject without another boundary request
+async function selectSubjectParcels(parcels) {
+  drawSubjectParcels(parcels);
+  if (!subjectFeature) return;
+
+  const label = getProjector().calculateLabelPoint(subjectFeature);
+  subjectCenterLatLng = L.latLng(label.latitude, label.longitude);
+  requestSubjectAddress(subjectCenterLatLng);
+
+  updateSubjectPin(subjectCenterLatLng);
+  renderEdges(subjectFeature);
+  renderEnvelope(subjectFeature);
+  renderInspector();
+  showSubjectStatus();
+  fetchZoningForSubject(subjectCenterLatLng);
+  analyzeHazards(subjectFeature);
 
   exportBtn.disabled = false;
   document.getElementById('ar-alignment').disabled = false;
   document.getElementById('ar-btn').disabled = false;
+
+  if (coordinateProcessor?.getSubjectProperty()) {
+    coordinateProcessor.setSubjectFeatures(parcels, loadedParcels);
+    loadSubjectTitles();
+    await refreshARCoordinates();
+  }
+}
+
+// Re-run the AR conversion at the current origin after the subject or its setbacks change
+async function refreshARCoordinates() {
+  const origin = coordinateProcessor.getARCoordinates()?.origin;
+  if (!origin) return;
+  try {
+    await coordinateProcessor.convertToARCoordinates(origin.latitude, origin.longitude);
+  } catch (error) {
+    console.warn('AR coordinates not updated:', error);
+  }
+}
+
+// --- District Plan Zoning -------------------------------------------------------
+let zoningLookup = null;   // council registry lookup, created on first use
+
+function getZoningLookup() {
+  if (!zoningLookup) {
+    zoningLookup = new ZoningLookup({
+      councils: ZONING_COUNCILS,
+      defaults: ZONING_WFS,
+      territorialAuthorities: TERRITORIAL_AUTHORITY_WFS,
+      projector: getProjector()
+    });
+  }
+  return zoningLookup;
+}
+
+async function fetchZoningForSubject(centerLatLng) {
+  zoningLayer.clearLayers();
+  if (!centerLatLng) return;
+  const subject = subjectFeature;
+
+  try {
+    setZoneText('Zoning: <strong>looking up…</strong>');
+    const result = await getZoningLookup().lookup(centerLatLng, subjectParcels[0]?.properties || {});
+    if (subject !== subjectFeature) return;
+    if (!result) {
+      setZoneText("");
+      return;
+    }
+
+    zoningLayer.addData(result.collection);
+    zoningLayer.bringToBack();
+
+    const council = result.source.name ? ` (${escapeHtml(result.source.name)})` : "";
+    if (!result.zone) {
+      setZoneText(`Zoning: <strong>Unknown</strong>${council}`);
+      return;
+    }
+    setZoneText(`Zoning: <strong>${escapeHtml(result.zoneName || "Unknown")}</strong>${council}`);
+  } catch (e) {
+    console.error("Zoning fetch failed:", e);
+    if (subject === subjectFeature) setZoneText('Zoning: <strong>Unavailable</strong>');
+  }
+}
+
+// Stable colour per zone name so the same zone reads the same across the overlay
+function zoneColor(name) {
+  let hash = 0;
+  for (const c of String(name || "")) hash = (hash * 31 + c.charCodeAt(0)) | 0;
+  return `hsl(${Math.abs(hash) % 360}, 65%, 50%)`;
+}
+
+// --- Hazard Overlays -------------------------------------------------------------
+// Fetch each overlay around the subject, show it on the map and summarise how much of the lot it covers
+async function analyzeHazards(feature) {
+  hazardLayers.forEach(layer => layer.clearLayers());
+  hazardNote = "";
+  if (!feature || !HAZARD_OVERLAYS.length) return;
+
+  hazardNote = "Hazards: checking…";
+  showSubjectStatus();
+  const results = await getProjector().analyzeOverlays(HAZARD_OVERLAYS, feature);
+  if (feature !== subjectFeature) return;
+
+  // A second analysis of the same subject may have finished first - replace its layers, don't add to them
+  hazardLayers.forEach(layer => layer.clearLayers());
+  results.forEach((result, i) => {
+    if (result.features) hazardLayers[i].addData(result.features);
+  });
+  hazardNote = results.map(formatHazard).join("<br>");
+  showSubjectStatus();
+}
+
+function formatHazard({ overlay, coverage, error }) {
+  const name = escapeHtml(overlay.name || overlay.id);
+  if (error || !coverage) return `${name}: <strong>unavailable</strong>`;
+  if (!coverage.fraction) return `Not in ${name}`;
+
+  const percent = fraction => fraction < 0.01 ? "<1%" : `${Math.round(fraction * 100)}%`;
+  const classes = Object.entries(coverage.byClass)
+    .sort((a, b) => b[1] - a[1])
+    .map(([value, fraction]) => `${escapeHtml(value)} ${percent(fraction)}`);
+  return `<strong>${percent(coverage.fraction)}</strong> of lot in ${name}` +
+    (classes.length ? ` (${classes.join(", ")})` : "");
+}
+
+// --- Historical Imagery ----------------------------------------------------------
+const historyEntries = [...IMAGERY_HISTORY].sort((a, b) => String(a.date).localeCompare(String(b.date)));
+const historyTileLayers = new Map();  // lazily created tile layer per entry index
+let historyIndex = -1;                // entry shown on the map, -1 = none
+let historyCompare = null;            // swipe comparison: null = off, -1 = current base map, else entry index
+let swipeRatio = 0.5;                 // divider position across the map
+
+function historyLabel(entry) {
+  return entry.label || String(entry.date);
+}
+
+// A separate Basemaps key when one is configured, else the key the boundary lookups use
+function basemapsKey() {
+  return window.LINZ_BASEMAPS_API_KEY || coordinateProcessor?.apiKey || findLINZKey() || "";
+}
+
+// History stays disabled while its LINZ tiles would be refused for want of a key
+function updateHistoryAccess() {
+  const key = basemapsKey();
+  historyBtn.disabled = !historyEntries.length || (!key && historyEntries.some(entry => entry.url.includes("{api}")));
+  historyTileLayers.forEach(layer => {
+    if (layer.options.api === key) return;
+    layer.options.api = key;
+    layer.redraw();
+  });
+}
+
+function historyTileLayer(index) {
+  if (!historyTileLayers.has(index)) {
+    const entry = historyEntries[index];
+    historyTileLayers.set(index, L.tileLayer(entry.url, {
+      pane: "historyPane",
+      api: basemapsKey(),
+      maxZoom: entry.maxZoom || 20,
+      attribution: entry.attribution || ""
+    }));
+  }
+  return historyTileLayers.get(index);
+}
+
+function toggleHistoryPanel() {
+  const open = historyPanel.classList.toggle("open");
+  if (open && historyIndex < 0) showHistoricalImagery(historyEntries.length - 1);
+  renderHistoryPanel();
+}
+
+function showHistoricalImagery(index) {
+  historyIndex = index;
+  if (index < 0) historyCompare = null;
+  updateHistoryLayers();
+  renderHistoryPanel();
+}
+
+function renderHistoryPanel() {
+  if (!historyEntries.length) return;
+  historyBtn.classList.toggle("active", historyIndex >= 0);
+
+  const index = Math.max(historyIndex, 0);
+  const options = historyEntries
+    .map((entry, i) => i === index ? "" : `<option value="${i}"${historyCompare === i ? " selected" : ""}>${escapeHtml(historyLabel(entry))}</option>`)
+    .join("");
+  historyPanel.innerHTML = `
+    <div class="history-header"><strong>${historyIndex >= 0 ? escapeHtml(historyLabel(historyEntries[index])) : "Imagery hidden"}</strong>
+      <button data-history="hide"${historyIndex < 0 ? " disabled" : ""}>Hide</button></div>
+    <input type="range" data-history="slider" min="0" max="${historyEntries.length - 1}" step="1" value="${index}">
+    <div class="history-range"><span>${escapeHtml(historyLabel(historyEntries[0]))}</span>
+      <span>${escapeHtml(historyLabel(historyEntries[historyEntries.length - 1]))}</span></div>
+    <label class="history-compare"><input type="checkbox" data-history="compare"${historyCompare !== null ? " checked" : ""}> Swipe compare with</label>
+    <select data-history="compare-with">
+      <option value="-1"${historyCompare === -1 ? " selected" : ""}>Current map</option>${options}
+    </select>`;
+}
+
+// Put the selected (and comparison) imagery on the map; the swipe divider clips them left / right
+function updateHistoryLayers() {
+  if (historyCompare === historyIndex) historyCompare = -1;
+  const shown = [historyIndex, historyCompare].filter(i => i !== null && i >= 0);
+
+  historyTileLayers.forEach((layer, i) => {
+    if (!shown.includes(i) && map.hasLayer(layer)) map.removeLayer(layer);
+  });
+  shown.forEach(i => {
+    const layer = historyTileLayer(i);
+    if (!map.hasLayer(layer)) map.addLayer(layer);
+    layer.getContainer().style.clip = "";
+  });
+
+  historySwipe.classList.toggle("open", historyIndex >= 0 && historyCompare !== null);
+  updateSwipeClip();
+}
+
+function updateSwipeClip() {
+  if (historyIndex < 0 || historyCompare === null) return;
+
+  const size = map.getSize();
+  const nw = map.containerPointToLayerPoint([0, 0]);
+  const se = map.containerPointToLayerPoint(size);
+  const clipX = nw.x + size.x * swipeRatio;
+  historyTileLayer(historyIndex).getContainer().style.clip =
+    `rect(${nw.y}px, ${clipX}px, ${se.y}px, ${nw.x}px)`;
+  if (historyCompare >= 0) {
+    historyTileLayer(historyCompare).getContainer().style.clip =
+      `rect(${nw.y}px, ${se.x}px, ${se.y}px, ${clipX}px)`;
+  }
+
+  const rect = map.getContainer().getBoundingClientRect();
+  historySwipe.style.left = `${rect.left + size.x * swipeRatio}px`;
+}
+
+function handleHistoryInput(event) {
+  if (event.target.dataset.history !== "slider") return;
+  const index = Number(event.target.value);
+  if (index !== historyIndex) {
+    historyIndex = index;
+    updateHistoryLayers();
+    historyPanel.querySelector(".history-header strong").textContent = historyLabel(historyEntries[index]);
+  }
+}
+
+function handleHistoryChange(event) {
+  const control = event.target.dataset.history;
+  if (control === "slider") {
+    renderHistoryPanel();  // refresh the compare list without the selected date
+  } else if (control === "compare" || control === "compare-with") {
+    const enabled = historyPanel.querySelector('[data-history="compare"]').checked;
+    historyCompare = enabled ? Number(historyPanel.querySelector('[data-history="compare-with"]').value) : null;
+    if (enabled && historyIndex < 0) historyIndex = historyEntries.length - 1;
+    updateHistoryLayers();
+    renderHistoryPanel();
+  }
+}
+
+function handleHistoryClick(event) {
+  if (event.target.dataset.history === "hide") showHistoricalImagery(-1);
+}
+
+// Drag the swipe divider (mouse, pen or touch)
+function startSwipeDrag(event) {
+  event.preventDefault();
+  historySwipe.setPointerCapture(event.pointerId);
+  const move = e => {
+    const rect = map.getContainer().getBoundingClientRect();
+    swipeRatio = Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width));
+    updateSwipeClip();
+  };
+  const end = () => {
+    historySwipe.removeEventListener("pointermove", move);
+    historySwipe.removeEventListener("pointerup", end);
+    historySwipe.removeEventListener("pointercancel", end);
+  };
+  historySwipe.addEventListener("pointermove", move);
+  historySwipe.addEventListener("pointerup", end);
+  historySwipe.addEventListener("pointercancel", end);
+}
+
+// --- Edge Lengths & Bearings -----------------------------------------------------
+function renderEdges(feature) {
+  edgeLabels.clearLayers();
+  subjectEdges = feature ? getProjector().calculateEdgeTable(feature) : [];
+  edgesBtn.disabled = !subjectEdges.length;
+  if (!subjectEdges.length) edgePanel.classList.remove("open");
+
+  const multipart = subjectEdges.some(e => e.part > 1);
+  subjectEdges.forEach(edge => {
+    // Run the text along the edge, flipped so it never reads upside down
+    let rotation = edge.bearing - 90;
+    if (rotation > 90) rotation -= 180;
+    const label = `${edge.length.toFixed(2)} m · ${edge.bearingDMS}`;
+    L.marker([edge.midpoint.latitude, edge.midpoint.longitude], {
+      icon: L.divIcon({
+        className: "edge-label",
+        html: `<span style="transform: translate(-50%, -50%) rotate(${rotation.toFixed(1)}deg)">${label}</span>`,
+        iconSize: [0, 0]
+      }),
+      interactive: false,
+      keyboard: false
+    }).addTo(edgeLabels);
+  });
+
+  edgePanel.innerHTML = `<table>
+    <tr><th>Edge</th><th>Length</th><th>Bearing</th><th>Interior angle</th></tr>
+    ${subjectEdges.map(e => `<tr>
+      <td>${multipart ? `${e.part}.` : ""}${e.edge}</td>
+      <td>${e.length.toFixed(2)} m</td>
+      <td>${e.bearingDMS}</td>
+      <td>${e.interiorAngleDMS}</td>
+    </tr>`).join("")}
+  </table>`;
+}
+
+function toggleEdgeTable() {
+  const open = edgePanel.classList.toggle("open");
+  edgesBtn.classList.toggle("active", open);
+}
+
+// --- Attribute Inspector --------------------------------------------------------
+// Friendly names for LINZ primary parcel attributes; anything else shows its raw field name
+const LINZ_FIELD_LABELS = {
+  id: "Parcel ID",
+  appellation: "Appellation",
+  affected_surveys: "Affected surveys",
+  parcel_intent: "Parcel intent",
+  topology_type: "Topology type",
+  statutory_actions: "Statutory actions",
+  land_district: "Land district",
+  titles: "Titles",
+  survey_area: "Survey area (m²)",
+  calc_area: "LINZ calculated area (m²)",
+  appellations: "Appellations",
+  parcel_ids: "Parcel IDs",
+  parcel_count: "Parcels"
+};
+
+let inspectorCopyValues = [];
+
+function formatAttribute(value) {
+  if (value === null || value === undefined || value === "") return "—";
+  if (Array.isArray(value)) return value.map(formatAttribute).join(", ");
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+// Shows the subject unless a hovered neighbour is passed; a merged subject lists each parcel
+function renderInspector(feature = subjectFeature, role = "Subject") {
+  inspectorBtn.disabled = !subjectFeature;
+  if (!feature) {
+    inspectorPanel.classList.remove("open");
+    inspectorBtn.classList.remove("active");
+    inspectorPanel.innerHTML = "";
+    return;
+  }
+
+  const parcels = feature === subjectFeature && subjectParcels.length > 1 ? subjectParcels : [feature];
+  const computed = calculateArea(feature);
+  const surveyAreas = parcels.map(f => parseFloat(f.properties?.survey_area));
+  const survey = surveyAreas.every(Number.isFinite) ? surveyAreas.reduce((a, b) => a + b, 0) : null;
+
+  inspectorCopyValues = [];
+  const row = (label, value) => {
+    inspectorCopyValues.push(value);
+    return `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td>` +
+      `<td><button data-copy="${inspectorCopyValues.length - 1}" title="Copy">⧉</button></td></tr>`;
+  };
+
+  // Official survey area next to our WGS84 ellipsoidal area
+  let areaRows = row("Computed area", formatArea(computed));
+  if (survey) {
+    areaRows = row("Survey area (official)", formatArea(survey)) + areaRows +
+      row("Difference", `${((computed - survey) / survey * 100).toFixed(2)}%`);
+  }
+
+  const sections = parcels.map(parcel => {
+    const props = parcel.properties || {};
+    const entries = Object.entries(props);
+    if (parcel.id !== undefined && !("id" in props)) entries.unshift(["id", parcel.id]);
+    const heading = parcels.length > 1 ? `<tr><th colspan="3">${escapeHtml(getAppellation(props) || "Parcel")}</th></tr>` : "";
+    return heading + entries.map(([key, value]) => row(LINZ_FIELD_LABELS[key] || key, formatAttribute(value))).join("");
+  }).join("");
+
+  inspectorCopyValues.push(JSON.stringify(parcels.map(parcel => ({
+    id: parcel.id ?? null,
+    ...parcel.properties,
+    computed_area_m2: Number(calculateArea(parcel).toFixed(2))
+  })), null, 2));
+
+  inspectorPanel.innerHTML = `<div class="inspector-header">
+      <strong>${role}: ${escapeHtml(getAppellation(feature.properties) || "Property")}</strong>
+      <button data-copy="${inspectorCopyValues.length - 1}">Copy all</button>
+    </div>
+    <table>${areaRows}${sections}</table>`;
+}
+
+function toggleInspector() {
+  const open = inspectorPanel.classList.toggle("open");
+  inspectorBtn.classList.toggle("active", open);
+}
+
+async function handleInspectorClick(event) {
+  const button = event.target.closest("button[data-copy]");
+  if (!button) return;
+
+  const text = inspectorCopyValues[Number(button.dataset.copy)];
+  try {
+    await navigator.clipboard.writeText(text);
+  } catch {
+    // No async clipboard (insecure origin / older WebView) - copy through a selected textarea
+    const area = document.createElement("textarea");
+    area.value = text;
+    document.body.appendChild(area);
+    area.select();
+    document.execCommand("copy");
+    area.remove();
+  }
+
+  const label = button.textContent;
+  button.textContent = "✓";
+  setTimeout(() => { button.textContent = label; }, 1000);
+}
+
+// --- Setback Envelope -----------------------------------------------------------
+function renderEnvelope(feature) {
+  envelopeLayer.clearLayers();
+  const neighbors = neighborProperties.getLayers().map(layer => layer.feature);
+  const envelope = feature ? getProjector().calculateSetbackEnvelope(feature, neighbors, setbackConfig) : null;
+  if (envelope) envelopeLayer.addData(envelope.feature);
+
+  setbacksBtn.disabled = !feature;
+  if (!feature) {
+    setbackPanel.classList.remove("open");
+    setbacksBtn.classList.remove("active");
+    setbackPanel.innerHTML = "";
+    return;
+  }
+
+  const edges = envelope?.edges || getProjector().classifyEdges(feature, neighbors);
+  const multipart = edges.some(e => e.part > 1);
+  const input = (name, value, placeholder = "") =>
+    `<input type="number" min="0" step="0.1" data-setback="${name}" value="${value ?? ""}" placeholder="${placeholder}">`;
+
+  setbackPanel.innerHTML = `<div class="setback-defaults">
+      <label>Front ${input("front", setbackConfig.front)}</label>
+      <label>Side ${input("side", setbackConfig.side)}</label>
+      <label>Rear ${input("rear", setbackConfig.rear)}</label>
+    </div>
+    <table>
+      <tr><th>Edge</th><th>Type</th><th>Adjoins</th><th>Setback (m)</th></tr>
+      ${edges.map(e => {
+        const key = `${e.part}.${e.edge}`;
+        return `<tr>
+          <td>${multipart ? `${e.part}.` : ""}${e.edge}</td>
+          <td>${e.type}</td>
+          <td>${e.adjoining ? escapeHtml(e.adjoining) : "road / none"}</td>
+          <td>${input(key, setbackConfig.overrides[key], setbackConfig[e.type])}</td>
+        </tr>`;
+      }).join("")}
+    </table>
+    <div class="setback-area">${envelope
+      ? `Buildable envelope: <strong>${Math.round(envelope.area)} m²</strong>`
+      : "<strong>Setbacks leave no buildable area</strong>"}</div>`;
+}
+
+function toggleSetbackPanel() {
+  const open = setbackPanel.classList.toggle("open");
+  setbacksBtn.classList.toggle("active", open);
+}
+
+// Blank per-edge inputs fall back to the front / side / rear default
+async function handleSetbackChange(event) {
+  const name = event.target.dataset.setback;
+  if (!name) return;
+
+  const value = parseFloat(event.target.value);
+  if (["front", "side", "rear"].includes(name)) {
+    if (Number.isNaN(value) || value < 0) return;
+    setbackConfig[name] = value;
+  } else if (Number.isNaN(value) || value < 0) {
+    delete setbackConfig.overrides[name];
+  } else {
+    setbackConfig.overrides[name] = value;
+  }
+
+  renderEnvelope(subjectFeature);
+
+  // Keep the AR payload's envelope ring in step with the map
+  if (coordinateProcessor?.getSubjectProperty()) {
+    coordinateProcessor.setSetbacks({ ...setbackConfig, overrides: { ...setbackConfig.overrides } });
+    await refreshARCoordinates();
+  }
+}
+
+// --- Measure Tool ----------------------------------------------------------------
+// Click points for a line; click the first point again to close it into a polygon
+const MEASURE_SNAP_PX = 12;           // snap to parcel vertices within this screen distance
+
+let measureMode = false;
+let measurePoints = [];
+let measureClosed = false;
+let measureLayer = null;
+
+function toggleMeasureMode() {
+  measureMode = !measureMode;
+  if (measureMode && alignmentMode) toggleARAlignment();
+
+  measureBtn.classList.toggle('active', measureMode);
+  measurePanel.classList.toggle('open', measureMode);
+  if (measureMode) {
+    setTopText('Measure: <strong>Click points - click the first point to close an area</strong>');
+  } else {
+    clearMeasurement();
+    if (subjectFeature) showSubjectStatus();
+    else setTopText("Property: <strong>—</strong>");
+  }
+  renderMeasurement();
+}
+
+// Nearest subject/neighbour vertex within MEASURE_SNAP_PX, else the click itself
+function snapToVertex(latlng) {
+  const features = [subjectFeature, ...neighborProperties.getLayers().map(l => l.feature)].filter(Boolean);
+  const clickPt = map.latLngToContainerPoint(latlng);
+  let best = null;
+  let bestDist = MEASURE_SNAP_PX;
+
+  features.forEach(feature => {
+    const polygons = feature.geometry.type === "Polygon" ? [feature.geometry.coordinates] : feature.geometry.coordinates;
+    polygons.flat().flat().forEach(([lng, lat]) => {
+      const d = clickPt.distanceTo(map.latLngToContainerPoint([lat, lng]));
+      if (d < bestDist) {
+        bestDist = d;
+        best = L.latLng(lat, lng);
+      }
+    });
+  });
+  return best || latlng;
+}
+
+function addMeasurePoint(latlng) {
+  if (measureClosed) {
+    measurePoints = [];
+    measureClosed = false;
+  }
+
+  // Clicking the first point again closes the polygon
+  if (measurePoints.length >= 3) {
+    const first = map.latLngToContainerPoint(measurePoints[0]);
+    if (first.distanceTo(map.latLngToContainerPoint(latlng)) < MEASURE_SNAP_PX) {
+      measureClosed = true;
+      renderMeasurement();
+      return;
+    }
+  }
+
+  measurePoints.push(snapToVertex(latlng));
+  renderMeasurement();
+}
+
+function updateMeasurePreview(e) {
+  if (!measureMode || measureClosed || !measurePoints.length) return;
+  renderMeasurement(snapToVertex(e.latlng));
+}
+
+function measurementStats(points, closed) {
+  const projector = getProjector();
+  const coords = points.map(p => ({ latitude: p.lat, longitude: p.lng }));
+  return {
+    length: projector.calculatePathLength(coords, closed),
+    area: closed ? projector.calculatePolygonArea(points.map(p => [p.lng, p.lat])) : 0
+  };
+}
+
+function formatLength(m) {
+  return m >= 1000 ? `${(m / 1000).toFixed(3)} km` : `${m.toFixed(2)} m`;
+}
+
+function formatArea(m2) {
+  return m2 > 10000 ? `${(m2 / 10000).toFixed(4)} ha` : `${m2.toFixed(1)} m²`;
+}
+
+// Redraw the measurement; cursor adds a live rubber-band segment while drawing
+function renderMeasurement(cursor) {
+  measureLayer.clearLayers();
+  const points = cursor ? [...measurePoints, cursor] : measurePoints;
+
+  if (points.length > 1) {
+    const style = { color: "#ff9500", weight: 3, dashArray: measureClosed ? "" : "6, 4" };
+    (measureClosed ? L.polygon(points, { ...style, fillOpacity: 0.15 }) : L.polyline(points, style))
+      .addTo(measureLayer);
+  }
+  measurePoints.forEach((p, i) => {
+    L.circleMarker(p, { radius: i === 0 ? 6 : 4, color: "#ff9500", fillColor: "#fff", fillOpacity: 1, weight: 2, interactive: false })
+      .addTo(measureLayer);
+  });
+
+  const stats = measurementStats(points, measureClosed);
+  const summary = measureClosed
+    ? `Perimeter: <strong>${formatLength(stats.length)}</strong><br>Area: <strong>${formatArea(stats.area)}</strong>`
+    : `Length: <strong>${formatLength(stats.length)}</strong>`;
+  measurePanel.innerHTML = `${summary}<br><small>${measurePoints.length} points · geodesic (WGS84)</small>
+    <div class="measure-actions">
+      <button data-action="undo" ${measurePoints.length ? "" : "disabled"}>Undo</button>
+      <button data-action="clear" ${measurePoints.length ? "" : "disabled"}>Clear</button>
+      <button data-action="export" ${measurePoints.length > 1 ? "" : "disabled"}>Export GeoJSON</button>
+    </div>`;
+}
+
+function handleMeasurePanelClick(e) {
+  const action = e.target.dataset.action;
+  if (action === "undo") {
+    if (measureClosed) measureClosed = false;
+    else measurePoints.pop();
+    renderMeasurement();
+  } else if (action === "clear") {
+    clearMeasurement();
+    renderMeasurement();
+  } else if (action === "export") {
+    exportMeasurement();
+  }
+}
+
+function clearMeasurement() {
+  measurePoints = [];
+  measureClosed = false;
+  measureLayer.clearLayers();
+}
+
+function exportMeasurement() {
+  if (measurePoints.length < 2) return;
+  const coords = measurePoints.map(p => [p.lng, p.lat]);
+  const stats = measurementStats(measurePoints, measureClosed);
+  const feature = {
+    type: "Feature",
+    properties: measureClosed
+      ? { kind: "area", perimeter_m: stats.length, area_m2: stats.area, measuredAt: new Date().toISOString() }
+      : { kind: "distance", length_m: stats.length, measuredAt: new Date().toISOString() },
+    geometry: measureClosed
+      ? { type: "Polygon", coordinates: [[...coords, coords[0]]] }
+      : { type: "LineString", coordinates: coords }
+  };
+  saveExport("measurement.geojson", JSON.stringify({ type: "FeatureCollection", features: [feature] }, null, 2),
+    "application/geo+json");
+}
+
+// Status note for truncated, cached or offline boundary responses
+function describeBoundarySource(gj) {
+  const meta = gj?.metadata;
+  if (!meta) return "";
+  const notes = [];
+  if (meta.offline) {
+    notes.push(`Offline - cached ${new Date(meta.cachedAt).toLocaleDateString()}`);
+    if (meta.missingTiles) notes.push("part of this area is not cached");
+  } else if (meta.fromCache) {
+    notes.push("From offline cache");
+  }
+  if (meta.truncated) {
+    notes.push(`Showing ${gj.features.length} of ${meta.numberMatched ?? "more"} parcels`);
+  }
+  if (meta.provider === "import") {
+    notes.push(`Imported from ${escapeHtml(meta.filename || meta.format)}`);
+  }
+  return notes.join(" · ");
 }
 
 // --- Enhanced Request System (Real LINZ Data) ------------------------------------
-async function requestParcels(lon, lat, r = SEARCH_RADIUS_M) {
+// link: the shared link this request restores - any newer request drops a link still waiting
+async function requestParcels(lon, lat, r = SEARCH_RADIUS_M, link = null) {
+  pendingDeepLink = link;
   currentQueryLatLng = L.latLng(lat, lon);
   setTopText("Property: <strong>finding…</strong>");
 
@@ -549,24 +1596,27 @@ async function requestParcels(lon, lat, r = SEARCH_RADIUS_M) {
   }
 
   // Enhanced LINZ integration with AR support
-  if (coordinateProcessor) {
+  if (!linzKeyMissing()) {
     try {
       setTopText("Property: <strong>downloading from LINZ…</strong>");
       const gj = await coordinateProcessor.downloadPropertyBoundaries(lon, lat, r);
       
       if (gj.features && gj.features.length > 0) {
         setTopText("Property: <strong>converting for AR…</strong>");
-        const arCoords = coordinateProcessor.convertToARCoordinates(lat, lon, 0);
+        const arCoords = await coordinateProcessor.convertToARCoordinates(lat, lon);
         console.log('AR coordinates prepared:', arCoords.subjectProperty.boundaries?.length || 0, 'boundary points for subject property');
       }
       
       renderAndCenter(gj);
     } catch (e) {
       console.error('LINZ fetch error:', e);
+      if (pendingDeepLink === link) pendingDeepLink = null;
       if (e.message.includes('401') || e.message.includes('403')) {
         setTopText("Property: <strong>Invalid API key</strong>");
         localStorage.removeItem('linz_api_key');
         promptForLINZKey();
+      } else if (e.message.includes('Offline')) {
+        setTopText("Property: <strong>offline - area not saved for offline use</strong>");
       } else {
         setTopText("Property: <strong>fetch failed - check connection</strong>");
       }
@@ -574,14 +1624,133 @@ async function requestParcels(lon, lat, r = SEARCH_RADIUS_M) {
     return;
   }
 
-  // No API key available - prompt user  
+  // No API key available (or only an import processor) - prompt user
   if (!initializeLINZIntegration()) {
+    if (pendingDeepLink === link) pendingDeepLink = null;
     setTopText("Property: <strong>LINZ API key required</strong>");
     return; // Don't continue with automatic location if no API key
   }
+  return requestParcels(lon, lat, r, link);
+}
+
+// --- Boundary File Import ----------------------------------------------------------
+// Parsed into a FeatureCollection and sent through the same AR conversion and rendering as LINZ data
+async function importBoundaryFile(file) {
+  if (!file) return;
+  pendingDeepLink = null;   // the imported parcels replace whatever a shared link was waiting for
+  setTopText("Property: <strong>importing…</strong>");
+  try {
+    const text = await file.text();
+    // Imports don't need a LINZ key; a later LINZ lookup still asks for one
+    if (!coordinateProcessor) coordinateProcessor = createCoordinateProcessor(null);
+    const gj = coordinateProcessor.importBoundaries(text, file.name);
+
+    const origin = coordinateProcessor.origin;
+    currentQueryLatLng = L.latLng(origin.latitude, origin.longitude);
+    setTopText("Property: <strong>converting for AR…</strong>");
+    await coordinateProcessor.convertToARCoordinates(origin.latitude, origin.longitude);
+    renderAndCenter(gj);
+  } catch (e) {
+    console.error('Boundary import failed:', e);
+    setTopText(`Property: <strong>import failed</strong><br><small>${escapeHtml(e.message)}</small>`);
+  }
+}
+
+function handleImportInputChange() {
+  importBoundaryFile(importInput.files[0]);
+  importInput.value = "";  // picking the same file again still fires change
+}
+
+function handleFileDragOver(e) {
+  if (!e.dataTransfer?.types?.includes("Files")) return;
+  e.preventDefault();
+  e.dataTransfer.dropEffect = "copy";
+  document.body.classList.add("pv-file-drag");
+}
+
+function handleFileDrop(e) {
+  document.body.classList.remove("pv-file-drag");
+  if (!e.dataTransfer?.files?.length) return;
+  e.preventDefault();
+  importBoundaryFile(e.dataTransfer.files[0]);
+}
+
+// --- Offline Area Download -------------------------------------------------------
+async function downloadAreaForOffline() {
+  if (linzKeyMissing()) {
+    setTopText("Offline: <strong>LINZ API key required</strong>");
+    return;
+  }
+
+  const b = map.getBounds();
+  const bbox = { minLon: b.getWest(), minLat: b.getSouth(), maxLon: b.getEast(), maxLat: b.getNorth() };
+
+  offlineBtn.disabled = true;
+  try {
+    setTopText("Offline: <strong>downloading area…</strong>");
+    const result = await coordinateProcessor.downloadAreaForOffline(bbox, (done, total) => {
+      setTopText(`Offline: <strong>downloading ${done}/${total} tiles…</strong>`);
+    });
+    const skipped = result.skipped ? ` (${result.skipped} too dense to cache)` : "";
+    setTopText(`Offline: <strong>area saved - ${result.tiles} tiles${skipped}</strong>`);
+  } catch (e) {
+    console.error('Offline download failed:', e);
+    setTopText(e.message.includes('too large')
+      ? "Offline: <strong>zoom in to save a smaller area</strong>"
+      : "Offline: <strong>download failed</strong>");
+  } finally {
+    offlineBtn.disabled = false;
+  }
+}
+
+// --- Enhanced Export (KML, GeoJSON, Shapefile, DXF, GeoPackage) -----------------
+// KML / KMZ are written here and their coordinates are always WGS84 (the NZTM2000 variant adds easting/northing
+// as ExtendedData); every other format goes through createExporter (exporters.js) in the chosen CRS
+const EXPORT_FORMATS = [
+  { label: "KML", format: "kml" },
+  { label: "KMZ (Google Earth)", format: "kmz" },
+  { label: "GeoJSON", format: "geojson" },
+  { label: "Shapefile (zip)", format: "shapefile" },
+  { label: "DXF (CAD)", format: "dxf" },
+  { label: "GeoPackage", format: "geopackage" },
+  { label: "Report (PDF)", format: "pdf" }
+];
+
+const EXPORT_CRS = [
+  { label: "WGS84 (lon/lat)", srsName: "EPSG:4326" },
+  { label: "NZTM2000 (E/N metres)", srsName: "EPSG:2193" }
+];
+
+function getProjector() {
+  return coordinateProcessor || new CoordinateProcessor(null);
+}
+
+function toggleExportMenu() {
+  toolsMenu.classList.remove("open");
+  exportMenu.classList.toggle("open");
+}
+
+function toggleToolsMenu() {
+  exportMenu.classList.remove("open");
+  toolsMenu.classList.toggle("open");
+}
+
+// A tool opens its own panel or mode, so the menu gets out of the way
+function handleToolsMenuClick(e) {
+  if (e.target.closest("button")) toolsMenu.classList.remove("open");
+}
+
+function handleExportMenuClick(e) {
+  const format = e.target.dataset.format;
+  if (!format) return;
+  exportMenu.classList.remove("open");
+  const srsName = exportMenu.querySelector('[data-export="srs"]').value;
+  const includeNeighbours = exportMenu.querySelector('[data-export="neighbours"]').checked;
+  if (format === "kml" || format === "kmz") exportKML(srsName, { includeNeighbours, kmz: format === "kmz" });
+  else if (format === "pdf") exportReport();
+  else exportFeatures(format, srsName, includeNeighbours);
 }
 
-// --- Enhanced KML Export ---------------------------------------------------------
 function coordsToKml(coords) { return `${coords[0]},${coords[1]},0`; }
 function ringToKml(ring) {
   const closed = ring.length && (ring[0][0] !== ring[ring.length - 1][0] || ring[0][1] !== ring[ring.length - 1][1])
@@ -597,63 +1766,480 @@ function polygonToKml(poly) {
   return `<Polygon><outerBoundaryIs><LinearRing><coordinates>${outer}</coordinates></LinearRing></outerBoundaryIs>${holes}</Polygon>`;
 }
 
-function featureToKmlPlacemark(feature) {
+// One "easting,northing" line per vertex (mm), rings separated by a blank line - pastes into CAD
+function nztmKmlData(feature) {
+  const nztm = getProjector().reprojectGeoJSON(feature, "EPSG:4326", "EPSG:2193");
+  const polygons = nztm.geometry.type === "Polygon" ? [nztm.geometry.coordinates] : nztm.geometry.coordinates;
+  const rings = polygons.flat().map(ring => ring.map(([e, n]) => `${e.toFixed(3)},${n.toFixed(3)}`).join("\n"));
+  return `<Data name="srsName"><value>EPSG:2193</value></Data>` +
+    `<Data name="nztm2000"><value>${rings.join("\n\n")}</value></Data>`;
+}
+
+// Parcel attributes (escapeHtml also covers XML's five special characters)
+function kmlExtendedData(feature, srsName) {
+  const data = Object.entries(feature.properties || {})
+    .filter(([, value]) => value !== null && value !== undefined && value !== "")
+    .map(([key, value]) => `<Data name="${escapeHtml(key)}"><value>${escapeHtml(formatAttribute(value))}</value></Data>`)
+    .join("");
+  const nztm = srsName === "EPSG:2193" ? nztmKmlData(feature) : "";
+  return data || nztm ? `<ExtendedData>${data}${nztm}</ExtendedData>` : "";
+}
+
+function featureToKmlPlacemark(feature, srsName = "EPSG:4326", styleId = "boundaryStyle", view = "") {
   const props = feature.properties || {};
-  const app = getAppellation(props) || "Subject Property";
+  const id = parcelId(feature);
+  const app = getAppellation(props) || (id ? `Parcel ${id}` : "Parcel");
   let body = "";
   if (feature.geometry?.type === "Polygon") {
     body = polygonToKml(feature.geometry.coordinates);
   } else if (feature.geometry?.type === "MultiPolygon") {
-    body = feature.geometry.coordinates.map(polygonToKml).join("");
+    body = `<MultiGeometry>${feature.geometry.coordinates.map(polygonToKml).join("")}</MultiGeometry>`;
   } else { return ""; }
-  return `<Placemark><name>${app}</name><styleUrl>#boundaryStyle</styleUrl>${body}</Placemark>`;
+  return `<Placemark><name>${escapeHtml(app)}</name>${view}<styleUrl>#${styleId}</styleUrl>` +
+    `${kmlExtendedData(feature, srsName)}${body}</Placemark>`;
 }
 
-function buildSubjectKml() {
-  if (!subjectFeature) return null;
-  const pm = featureToKmlPlacemark(subjectFeature);
-  if (!pm) return null;
-  
-  const style = `<Style id="boundaryStyle">
-    <LineStyle>
-      <color>ff0000ff</color>
-      <width>2</width>
-    </LineStyle>
-    <PolyStyle>
-      <fill>0</fill>
-      <outline>1</outline>
-    </PolyStyle>
+function pointPlacemark(name, description, styleId, latitude, longitude) {
+  return `<Placemark><name>${escapeHtml(name)}</name><description>${escapeHtml(description)}</description>` +
+    `<styleUrl>#${styleId}</styleUrl><Point><coordinates>${longitude},${latitude},0</coordinates></Point></Placemark>`;
+}
+
+// Google Earth camera straight down on the subject, far enough out to frame the whole lot
+function subjectLookAt(feature) {
+  const projector = getProjector();
+  const label = projector.calculateLabelPoint(feature);
+  const reach = Math.max(0, ...projector.extractParts(feature).flatMap(part => part.outer)
+    .map(p => projector.calculateDistance(label.latitude, label.longitude, p.latitude, p.longitude)));
+  return `<LookAt><longitude>${label.longitude}</longitude><latitude>${label.latitude}</latitude>` +
+    `<altitude>0</altitude><heading>0</heading><tilt>0</tilt><range>${Math.max(100, reach * 3).toFixed(0)}</range>` +
+    `<altitudeMode>relativeToGround</altitudeMode></LookAt>`;
+}
+
+function centroidPlacemark(feature, srsName) {
+  const centroid = getProjector().calculateCentroid(feature);
+  let description = `${centroid.latitude.toFixed(7)}, ${centroid.longitude.toFixed(7)}`;
+  if (srsName === "EPSG:2193") {
+    const nztm = getProjector().wgs84ToNZTM(centroid.latitude, centroid.longitude);
+    description += ` (E ${nztm.easting.toFixed(3)}, N ${nztm.northing.toFixed(3)})`;
+  }
+  return pointPlacemark("Centroid", description, "centroidStyle", centroid.latitude, centroid.longitude);
+}
+
+// Length labels at each edge midpoint, bearing in the description
+function edgeLabelPlacemarks(feature) {
+  const edges = getProjector().calculateEdgeTable(feature);
+  const multipart = edges.some(e => e.part > 1);
+  return edges.map(edge => pointPlacemark(
+    formatLength(edge.length),
+    `Edge ${multipart ? `${edge.part}.` : ""}${edge.edge} · bearing ${edge.bearingDMS}`,
+    "edgeLabelStyle", edge.midpoint.latitude, edge.midpoint.longitude
+  )).join("");
+}
+
+const KML_STYLES = `<Style id="boundaryStyle">
+    <LineStyle><color>ff0000ff</color><width>2</width></LineStyle>
+    <PolyStyle><fill>0</fill><outline>1</outline></PolyStyle>
+  </Style>
+  <Style id="neighbourStyle">
+    <LineStyle><color>ffaaaaaa</color><width>1</width></LineStyle>
+    <PolyStyle><fill>0</fill><outline>1</outline></PolyStyle>
+  </Style>
+  <Style id="centroidStyle">
+    <IconStyle><scale>0.8</scale><Icon><href>http://maps.google.com/mapfiles/kml/shapes/placemark_circle.png</href></Icon></IconStyle>
+  </Style>
+  <Style id="edgeLabelStyle">
+    <IconStyle><scale>0</scale></IconStyle>
+    <LabelStyle><scale>0.8</scale></LabelStyle>
   </Style>`;
-  
+
+// Subject folder (outline, centroid, edge lengths) and an optional neighbours folder
+function buildSubjectKml(srsName = "EPSG:4326", includeNeighbours = false) {
+  const collection = buildExportCollection("EPSG:4326", includeNeighbours);
+  if (!collection) return null;
+  const [subject, ...neighbours] = collection.features;
+  const lookAt = subjectLookAt(subject);
+  const pm = featureToKmlPlacemark(subject, srsName, "boundaryStyle", lookAt);
+  if (!pm) return null;
+
+  const neighbourFolder = neighbours.length
+    ? `<Folder><name>Neighbours</name>${neighbours.map(f => featureToKmlPlacemark(f, srsName, "neighbourStyle")).join("")}</Folder>`
+    : "";
+
   return `<?xml version="1.0" encoding="UTF-8"?>
-<kml xmlns="http://www.opengis.net/kml/2.2"><Document>${style}${pm}</Document></kml>`;
+<kml xmlns="http://www.opengis.net/kml/2.2"><Document><name>${escapeHtml(subject.properties.appellation || "Property")}</name>${lookAt}
+  ${KML_STYLES}
+<Folder><name>Subject</name>${pm}${centroidPlacemark(subject, srsName)}<Folder><name>Edge lengths</name>${edgeLabelPlacemarks(subject)}</Folder></Folder>${neighbourFolder}</Document></kml>`;
+}
+
+// Subject (and optionally neighbour) parcels with role / appellation / area columns ahead of the
+// LINZ attributes; NZTM output is [easting, northing] with a "crs" member
+function buildExportCollection(srsName = "EPSG:4326", includeNeighbours = false) {
+  if (!subjectFeature) return null;
+  const toFeature = (feature, role) => ({
+    type: "Feature",
+    id: feature.id,
+    properties: {
+      role,
+      appellation: getAppellation(feature.properties || {}),
+      ...feature.properties,
+      area_m2: Math.round(calculateArea(feature) * 10) / 10
+    },
+    geometry: feature.geometry
+  });
+  const neighbours = includeNeighbours ? loadedParcels.filter(f => !subjectParcels.includes(f)) : [];
+  const fc = {
+    type: "FeatureCollection",
+    features: [toFeature(subjectFeature, "subject"), ...neighbours.map(f => toFeature(f, "neighbour"))]
+  };
+  return getProjector().reprojectGeoJSON(fc, "EPSG:4326", srsName);
 }
 
-function exportKML() {
-  const kml = buildSubjectKml();
+// KMZ is the same document zipped as doc.kml
+function exportKML(srsName = "EPSG:4326", { includeNeighbours = false, kmz = false } = {}) {
+  const kml = buildSubjectKml(srsName, includeNeighbours);
   if (!kml) { 
     setTopText("Property: <strong>No property to export</strong>"); 
     return; 
   }
+  const name = srsName === "EPSG:2193" ? "parcel-nztm" : "parcel";
+  if (kmz) {
+    saveExport(`${name}.kmz`, createZip([{ name: "doc.kml", data: kml }]), "application/vnd.google-earth.kmz");
+  } else {
+    saveExport(`${name}.kml`, kml, "application/vnd.google-earth.kml+xml");
+  }
+}
 
+async function exportFeatures(format, srsName = "EPSG:4326", includeNeighbours = false) {
+  const collection = buildExportCollection(srsName, includeNeighbours);
+  if (!collection) {
+    setTopText("Property: <strong>No property to export</strong>");
+    return;
+  }
+  try {
+    const name = srsName === "EPSG:2193" ? "parcel-nztm" : "parcel";
+    const file = await createExporter(format).export(collection, { srsName, name });
+    saveExport(file.filename, file.content, file.mimeType);
+  } catch (error) {
+    console.error(`${format} export failed:`, error);
+    setTopText(`Property: <strong>Export failed</strong><br><small>${escapeHtml(error.message)}</small>`);
+  }
+}
+
+function bytesToBase64(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+// Native share sheet via the exportKML bridge (any filename), else a browser download
+// content is text or, for binary formats, a Uint8Array
+function saveExport(filename, content, mimeType) {
   if (window.webkit?.messageHandlers?.exportKML) {
-    const b64 = btoa(unescape(encodeURIComponent(kml)));
-    window.webkit.messageHandlers.exportKML.postMessage({ filename: "parcel.kml", base64: b64 });
+    const b64 = typeof content === "string" ? btoa(unescape(encodeURIComponent(content))) : bytesToBase64(content);
+    window.webkit.messageHandlers.exportKML.postMessage({ filename, base64: b64 });
     return;
   }
 
   // Browser fallback
-  const blob = new Blob([kml], { type: "application/vnd.google-earth.kml+xml" });
+  const blob = new Blob([content], { type: mimeType });
   const url = URL.createObjectURL(blob);
   const a = document.createElement("a");
   a.href = url; 
-  a.download = "parcel.kml";
+  a.download = filename;
   document.body.appendChild(a); 
   a.click();
   setTimeout(() => { URL.revokeObjectURL(url); a.remove(); }, 0);
   setTopText("Property: <strong>Exported</strong>");
 }
 
+// --- PDF Property Report -----------------------------------------------------------
+// One A4 page: map snapshot with the outline and edge lengths, address, area, titles, zoning,
+// hazards, edge table and neighbours. Built with jsPDF and saved through saveExport.
+const REPORT_MAX_EDGES = 24;
+
+// jsPDF's standard fonts are Latin-1: drop macrons/diacritics and map common punctuation
+function pdfText(value) {
+  const replacements = { "′": "'", "″": '"', "‘": "'", "’": "'", "“": '"', "”": '"', "–": "-", "—": "-", "…": "...", "→": "->" };
+  return [...String(value ?? "").normalize("NFD").replace(/[\u0300-\u036f]/g, "")]
+    .map(c => c.charCodeAt(0) > 0xff ? replacements[c] ?? "?" : c)
+    .join("");
+}
+
+// Status notes are HTML; the report wants their text, one line per <br>
+function htmlToText(html) {
+  return String(html || "").replace(/<br\s*\/?>/gi, "\n").replace(/<[^>]+>/g, "")
+    .replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&amp;/g, "&");
+}
+
+function waitForTiles(timeoutMs = 4000) {
+  const loading = [];
+  map.eachLayer(layer => {
+    if (layer instanceof L.GridLayer && layer.isLoading()) loading.push(new Promise(resolve => layer.once("load", resolve)));
+  });
+  return Promise.race([Promise.all(loading), new Promise(resolve => setTimeout(resolve, timeoutMs))]);
+}
+
+// Transparent CORS copies of the visible tile layers - only snapshot tiles are requested with CORS, so the
+// live map keeps loading from servers that don't send the headers
+function addSnapshotTileLayers() {
+  const sources = [];
+  map.eachLayer(layer => {
+    if (layer instanceof L.TileLayer && !snapshotTileLayers.includes(layer)) sources.push(layer);
+  });
+  snapshotTileLayers = sources.map(layer => L.tileLayer(layer._url, { ...layer.options, crossOrigin: "anonymous", opacity: 0 }).addTo(map));
+  return snapshotTileLayers;
+}
+
+function removeSnapshotTileLayers() {
+  snapshotTileLayers.forEach(layer => map.removeLayer(layer));
+  snapshotTileLayers = [];
+}
+
+// Loaded map tiles copied onto a canvas, then neighbours, the subject outline and edge lengths drawn over
+// them. Tiles from a server without CORS taint the canvas, so the outline is redrawn on a plain background.
+// The user's view is put back afterwards.
+async function captureMapSnapshot() {
+  const view = { center: map.getCenter(), zoom: map.getZoom() };
+  try {
+    map.fitBounds(subjectProperty.getBounds(), { padding: [40, 40], maxZoom: FIT_MAX_ZOOM, animate: false });
+    const tileLayers = addSnapshotTileLayers();
+    await waitForTiles();
+    return drawMapSnapshot(tileLayers);
+  } finally {
+    removeSnapshotTileLayers();
+    map.setView(view.center, view.zoom, { animate: false });
+  }
+}
+
+function drawMapSnapshot(tileLayers) {
+  const size = map.getSize();
+  const draw = withTiles => {
+    const canvas = document.createElement("canvas");
+    canvas.width = size.x;
+    canvas.height = size.y;
+    const ctx = canvas.getContext("2d");
+    ctx.fillStyle = "#f2efe9";
+    ctx.fillRect(0, 0, size.x, size.y);
+
+    if (withTiles) {
+      const origin = map.getContainer().getBoundingClientRect();
+      tileLayers.forEach(layer => layer.getContainer()?.querySelectorAll("img.leaflet-tile-loaded").forEach(img => {
+        const r = img.getBoundingClientRect();
+        ctx.drawImage(img, r.left - origin.left, r.top - origin.top, r.width, r.height);
+      }));
+    }
+    drawReportOverlay(ctx);
+    return canvas.toDataURL("image/jpeg", 0.85);
+  };
+
+  let dataUrl;
+  try {
+    dataUrl = draw(true);
+  } catch (error) {
+    console.warn('Map tiles not exportable, report map shows outlines only:', error);
+    dataUrl = draw(false);
+  }
+  return { dataUrl, width: size.x, height: size.y };
+}
+
+function drawReportOverlay(ctx) {
+  const projector = getProjector();
+  const toPoint = ([lon, lat]) => map.latLngToContainerPoint([lat, lon]);
+  const tracePolygons = feature => {
+    ctx.beginPath();
+    projector.getPolygons(feature).forEach(rings => rings.forEach(ring => {
+      ring.map(toPoint).forEach((p, i) => (i ? ctx.lineTo(p.x, p.y) : ctx.moveTo(p.x, p.y)));
+      ctx.closePath();
+    }));
+  };
+
+  ctx.lineJoin = "round";
+  ctx.strokeStyle = "#ffd60a";
+  ctx.lineWidth = 1.5;
+  loadedParcels.filter(f => !subjectParcels.includes(f)).forEach(f => { tracePolygons(f); ctx.stroke(); });
+
+  tracePolygons(subjectFeature);
+  ctx.fillStyle = "rgba(0, 122, 255, 0.15)";
+  ctx.fill("evenodd");
+  ctx.strokeStyle = "#007AFF";
+  ctx.lineWidth = 3;
+  ctx.stroke();
+
+  // Edge lengths, skipping edges too short on screen to label legibly
+  ctx.font = "bold 12px -apple-system, Helvetica, Arial, sans-serif";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  projector.calculateEdgeTable(subjectFeature).forEach(edge => {
+    const from = map.latLngToContainerPoint([edge.from.latitude, edge.from.longitude]);
+    const to = map.latLngToContainerPoint([edge.to.latitude, edge.to.longitude]);
+    if (from.distanceTo(to) < 40) return;
+    const mid = map.latLngToContainerPoint([edge.midpoint.latitude, edge.midpoint.longitude]);
+    const text = formatLength(edge.length);
+    ctx.lineWidth = 3;
+    ctx.strokeStyle = "white";
+    ctx.strokeText(text, mid.x, mid.y);
+    ctx.fillStyle = "#003d80";
+    ctx.fillText(text, mid.x, mid.y);
+  });
+}
+
+async function resolveSubjectAddress() {
+  if (subjectAddress) return subjectAddress;
+  if (!subjectCenterLatLng) return "";
+  try {
+    const result = await enhancePropertyWithAddress(subjectCenterLatLng.lat, subjectCenterLatLng.lng);
+    if (!result) return "";
+    return result.formattedAddress || result.fullAddress ||
+      [`${result.streetNumber} ${result.streetName}`.trim(), result.suburb, result.city].filter(Boolean).join(", ");
+  } catch (error) {
+    console.warn('Report address lookup failed:', error);
+    return "";
+  }
+}
+
+// Fetched on the first report rather than with the page
+const JSPDF_URL = window.JSPDF_URL || "https://unpkg.com/jspdf@2.5.1/dist/jspdf.umd.min.js";
+
+async function buildPropertyReport() {
+  if (typeof jspdf === "undefined") {
+    await loadScript(JSPDF_URL).catch(() => {
+      throw new Error("jsPDF not loaded - PDF report unavailable");
+    });
+  }
+  const projector = getProjector();
+  const [snapshot, address] = await Promise.all([captureMapSnapshot(), resolveSubjectAddress()]);
+
+  const doc = new jspdf.jsPDF({ unit: "mm", format: "a4" });
+  const left = 15, right = 195, bottom = 282;
+  let y = 18;
+  const text = (value, x, top, options) => doc.text(pdfText(value), x, top, options);
+
+  doc.setFont("helvetica", "bold").setFontSize(18);
+  text("Property Report", left, y);
+  doc.setFont("helvetica", "normal").setFontSize(9).setTextColor(110);
+  text(new Date().toLocaleDateString(), right, y, { align: "right" });
+  doc.setTextColor(0);
+
+  const names = subjectParcels.map(f => getAppellation(f.properties || {})).filter(Boolean);
+  doc.setFont("helvetica", "bold").setFontSize(12);
+  const title = doc.splitTextToSize(pdfText(names.join(", ") || "Subject property"), right - left);
+  doc.text(title, left, y += 8);
+  y += title.length * 5;
+  doc.setFont("helvetica", "normal").setFontSize(10);
+  if (address) {
+    const lines = doc.splitTextToSize(pdfText(address), right - left);
+    doc.text(lines, left, y);
+    y += lines.length * 4.5;
+  }
+
+  // Map snapshot, at most 110 mm tall
+  let imageWidth = right - left;
+  let imageHeight = imageWidth * snapshot.height / snapshot.width;
+  if (imageHeight > 110) {
+    imageWidth *= 110 / imageHeight;
+    imageHeight = 110;
+  }
+  doc.addImage(snapshot.dataUrl, "JPEG", left, y, imageWidth, imageHeight);
+  doc.setDrawColor(180).rect(left, y, imageWidth, imageHeight);
+  y += imageHeight + 8;
+
+  // Details (left column)
+  const label = projector.calculateLabelPoint(subjectFeature);
+  const nztm = projector.wgs84ToNZTM(label.latitude, label.longitude);
+  const surveyArea = subjectParcels.reduce((sum, f) => sum + (Number(f.properties?.survey_area) || 0), 0);
+  const details = [
+    ["Area", formatArea(calculateArea(subjectFeature))],
+    ["Survey area", surveyArea ? formatArea(surveyArea) : ""],
+    ["Parcels", subjectParcels.length > 1 ? String(subjectParcels.length) : ""],
+    ["Location", `${label.latitude.toFixed(6)}, ${label.longitude.toFixed(6)}`],
+    ["NZTM2000", `E ${nztm.easting.toFixed(1)}  N ${nztm.northing.toFixed(1)}`],
+    ["Titles", htmlToText(titleNote).replace(/^Title: /gm, "")],
+    ["Zoning", htmlToText(zoneNote).replace(/^Zoning: /, "")],
+    ["Hazards", htmlToText(hazardNote)]
+  ].filter(([, value]) => value);
+
+  const columnTop = y;
+  doc.setFont("helvetica", "bold").setFontSize(11);
+  text("Details", left, y);
+  y += 6;
+  doc.setFontSize(9);
+  details.forEach(([name, value]) => {
+    const lines = doc.splitTextToSize(pdfText(value), 72);
+    doc.setFont("helvetica", "bold");
+    text(name, left, y);
+    doc.setFont("helvetica", "normal");
+    doc.text(lines, left + 26, y);
+    y += lines.length * 4 + 1;
+  });
+  const detailsBottom = y;
+
+  // Edge table (right column)
+  const edges = projector.calculateEdgeTable(subjectFeature);
+  const multipart = edges.some(e => e.part > 1);
+  const tableLeft = 125;
+  y = columnTop;
+  doc.setFont("helvetica", "bold").setFontSize(11);
+  text("Boundary edges", tableLeft, y);
+  y += 6;
+  doc.setFontSize(8);
+  text("Edge", tableLeft, y);
+  text("Length", tableLeft + 30, y, { align: "right" });
+  text("Bearing", tableLeft + 36, y);
+  doc.setFont("helvetica", "normal");
+  edges.slice(0, REPORT_MAX_EDGES).forEach(edge => {
+    y += 4;
+    text(`${multipart ? `${edge.part}.` : ""}${edge.edge}`, tableLeft, y);
+    text(`${edge.length.toFixed(2)} m`, tableLeft + 30, y, { align: "right" });
+    text(edge.bearingDMS, tableLeft + 36, y);
+  });
+  if (edges.length > REPORT_MAX_EDGES) text(`+ ${edges.length - REPORT_MAX_EDGES} more`, tableLeft, y += 4);
+
+  // Neighbours, nearest first, two columns until the page runs out
+  y = Math.max(detailsBottom, y + 4) + 4;
+  const neighbours = loadedParcels
+    .filter(f => !subjectParcels.includes(f))
+    .map(f => ({ feature: f, distance: -projector.distanceToFeature(f, label.latitude, label.longitude) }))
+    .sort((a, b) => a.distance - b.distance)
+    .map(({ feature }) => `${getAppellation(feature.properties || {}) || "Parcel"} - ${formatArea(calculateArea(feature))}`);
+  if (neighbours.length && y < bottom - 10) {
+    doc.setFont("helvetica", "bold").setFontSize(11);
+    text(`Neighbours (${neighbours.length})`, left, y);
+    doc.setFont("helvetica", "normal").setFontSize(8);
+    const rows = Math.max(1, Math.floor((bottom - y - 4) / 4));
+    const shown = neighbours.slice(0, rows * 2);
+    shown.forEach((line, i) => {
+      const column = i < rows ? 0 : 1;
+      text(doc.splitTextToSize(pdfText(line), 85)[0], left + column * 90, y + 5 + (i % rows) * 4);
+    });
+    if (shown.length < neighbours.length) {
+      text(`+ ${neighbours.length - shown.length} more`, right, bottom, { align: "right" });
+    }
+  }
+
+  doc.setFontSize(7).setTextColor(120);
+  const source = htmlToText(boundarySourceNote);
+  text(`Boundaries are indicative only and not a survey.${source ? ` ${source}.` : ""}`, left, 290);
+  return new Uint8Array(doc.output("arraybuffer"));
+}
+
+async function exportReport() {
+  if (!subjectFeature) {
+    setTopText("Property: <strong>No property to export</strong>");
+    return;
+  }
+  setTopText("Property: <strong>preparing report…</strong>");
+  try {
+    const pdf = await buildPropertyReport();
+    showSubjectStatus();
+    saveExport("property-report.pdf", pdf, "application/pdf");
+  } catch (error) {
+    console.error('Report failed:', error);
+    setTopText(`Property: <strong>Report failed</strong><br><small>${escapeHtml(error.message)}</small>`);
+  }
+}
+
 // --- Enhanced LocationIQ Integration for Address Search --------------------------
 function setupLocationIQSearch() {
   const searchInput = document.getElementById('search-input');
@@ -1040,11 +2626,124 @@ async function enhancePropertyWithAddress(lat, lng) {
   return results.find(r => r.source === 'google-geocoding') || results[0] || null;
 }
 
+// --- Shareable Deep Links ---------------------------------------------------------
+// ?lat=&lng=&z= (the query point) plus map centre, subject parcel ids, base layer, neighbour visibility
+// and AR alignment points, e.g. ?lat=-41.2865&lng=174.7762&z=19&c=-41.2864,174.7760&parcels=layer-50772.1,layer-50772.2
+//   &base=satellite&neighbours=0&align=-41.28651,174.77618;-41.28662,174.77641
+const LINK_BASE_LAYERS = { osm: "OpenStreetMap", linz: "LINZ Topographic", satellite: "Esri Satellite" };
+let pendingDeepLink = null;   // link whose selection and view wait for its boundary response
+
+function parcelId(feature) {
+  const id = feature?.id ?? feature?.properties?.id;
+  return id === undefined || id === null ? null : String(id);
+}
+
+function formatLinkPoint(latlng) {
+  return `${latlng.lat.toFixed(7)},${latlng.lng.toFixed(7)}`;
+}
+
+function parseLinkPoint(value) {
+  const [lat, lng] = String(value).split(",").map(v => (v.trim() ? Number(v) : NaN));
+  const valid = Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+  return valid ? { lat, lng } : null;
+}
+
+function readDeepLink(search) {
+  const params = new URLSearchParams(search);
+  const query = parseLinkPoint(`${params.get("lat")},${params.get("lng")}`);
+  if (!query) return null;
+
+  const zoom = parseInt(params.get("z") || "17", 10);
+  return {
+    query,
+    zoom: Number.isNaN(zoom) ? 17 : zoom,
+    center: params.has("c") ? parseLinkPoint(params.get("c")) : null,
+    parcelIds: (params.get("parcels") || "").split(",").filter(Boolean),
+    base: LINK_BASE_LAYERS[params.get("base")] || null,
+    neighbours: params.get("neighbours") !== "0",
+    alignment: (params.get("align") || "").split(";").map(parseLinkPoint).filter(Boolean)
+  };
+}
+
+function activeBaseLayerKey() {
+  const active = Object.keys(baseLayers).filter(name => map.hasLayer(baseLayers[name])).pop();
+  return Object.keys(LINK_BASE_LAYERS).find(key => LINK_BASE_LAYERS[key] === active) || "osm";
+}
+
+function buildShareLink() {
+  const query = currentQueryLatLng || map.getCenter();
+  const params = new URLSearchParams();
+  params.set("lat", query.lat.toFixed(7));
+  params.set("lng", query.lng.toFixed(7));
+  params.set("z", String(map.getZoom()));
+  params.set("c", formatLinkPoint(map.getCenter()));
+
+  const ids = subjectParcels.map(parcelId).filter(Boolean);
+  if (ids.length) params.set("parcels", ids.join(","));
+  params.set("base", activeBaseLayerKey());
+  params.set("neighbours", showNeighbors ? "1" : "0");
+  if (alignmentPoints.length === 2) params.set("align", alignmentPoints.map(formatLinkPoint).join(";"));
+
+  // Commas and semicolons stay readable - the link is often pasted into messages
+  return `${SHARE_BASE_URL}?${String(params).replace(/%2C/g, ",").replace(/%3B/g, ";")}`;
+}
+
+async function shareLink() {
+  const url = buildShareLink();
+  const title = getAppellation(subjectFeature?.properties || {}) || "Property view";
+
+  if (window.webkit?.messageHandlers?.shareLink) {
+    window.webkit.messageHandlers.shareLink.postMessage({ url, title });
+    return;
+  }
+
+  try {
+    if (navigator.share) {
+      await navigator.share({ title, url });
+    } else {
+      await navigator.clipboard.writeText(url);
+      statusEl.innerHTML += "<br><small>Link copied to clipboard</small>";
+    }
+  } catch (error) {
+    if (error.name === "AbortError") return;   // share sheet dismissed
+    console.warn('Link sharing failed:', error);
+    window.prompt("Copy this link", url);
+  }
+}
+
+// Layer and neighbour settings apply straight away; selection and view once the parcels arrive
+function openDeepLink(link) {
+  if (link.base && baseLayers[link.base]) setMapLayer(mapLayerNames.indexOf(link.base));
+  if (!link.neighbours && showNeighbors) toggleNeighbors();
+
+  const restores = link.center || link.parcelIds.length || link.alignment.length;
+  map.setView([link.query.lat, link.query.lng], link.zoom);
+  requestParcels(link.query.lng, link.query.lat, SEARCH_RADIUS_M, restores ? link : null);
+}
+
+async function restoreDeepLink(link) {
+  const parcels = link.parcelIds.map(id => loadedParcels.find(f => parcelId(f) === id)).filter(Boolean);
+  if (parcels.length < link.parcelIds.length) {
+    console.warn(`Shared link: ${link.parcelIds.length - parcels.length} parcel(s) no longer in the boundary data`);
+  }
+  const sameSelection = parcels.length === subjectParcels.length && parcels.every(f => subjectParcels.includes(f));
+  if (parcels.length && !sameSelection) {
+    await selectSubjectParcels(parcels);
+  }
+
+  if (link.alignment.length === 2 && subjectFeature) {
+    clearAlignmentMarkers();
+    alignmentPoints = link.alignment.map(p => L.latLng(p.lat, p.lng));
+    alignmentPoints.forEach(p => addAlignmentMarker(p));
+    saveAlignmentPoints();
+  }
+
+  const center = link.center || link.query;
+  map.setView([center.lat, center.lng], link.zoom);
+}
+
 // --- Enhanced Auto-Start System (Real GPS Location) ------------------------------
-const qs = new URLSearchParams(location.search);
-const initLat = parseFloat(qs.get("lat"));
-const initLng = parseFloat(qs.get("lng"));
-const initZ   = parseInt(qs.get("z") || "17", 10);
+const initialLink = readDeepLink(location.search);
 
 function initializeMap() {
   console.log('Initializing map...');
@@ -1081,8 +2780,12 @@ function initializeMap() {
       delete baseLayers["LINZ Topographic"];
     }
 
+    // Dated imagery sits above the base map and below every overlay
+    map.createPane("historyPane").style.zIndex = 250;
+    map.on("move resize", updateSwipeClip);
+
     // Enhanced controls
-    L.control.layers(baseLayers, {}, { position: "topright" }).addTo(map);
+    const layersControl = L.control.layers(baseLayers, {}, { position: "topright" }).addTo(map);
     L.control.scale({ metric: true, imperial: false }).addTo(map);
 
     // Enhanced property boundary styling
@@ -1095,7 +2798,7 @@ function initializeMap() {
         const area = calculateArea(feature);
         const areaText = area > 10000 ? `${(area/10000).toFixed(2)} ha` : `${Math.round(area)} m²`;
         
-        layer.bindTooltip(`<strong>${appellation}</strong><br>Area: ${areaText}`, {
+        layer.bindTooltip(`<strong>${escapeHtml(appellation)}</strong><br>Area: ${areaText}`, {
           permanent: false,
           direction: "top",
           className: "property-tooltip"
@@ -1103,16 +2806,59 @@ function initializeMap() {
       }
     }).addTo(map);
 
+    envelopeLayer = L.geoJSON(null, {
+      style: { color: "#34c759", weight: 2, dashArray: "6, 4", fillColor: "#34c759", fillOpacity: 0.15 },
+      interactive: false
+    }).addTo(map);
+    layersControl.addOverlay(envelopeLayer, "Buildable envelope");
+
+    zoningLayer = L.geoJSON(null, {
+      style: feature => {
+        const color = zoneColor(feature.properties.zone_name);
+        return { color, weight: 1, fillColor: color, fillOpacity: 0.2 };
+      },
+      interactive: false
+    }).addTo(map);
+    layersControl.addOverlay(zoningLayer, "District plan zones");
+
+    hazardLayers = HAZARD_OVERLAYS.map(overlay => {
+      const color = overlay.color || "#ff3b30";
+      const layer = L.geoJSON(null, {
+        style: { color, weight: 1, fillColor: color, fillOpacity: 0.25 },
+        interactive: false
+      });
+      if (overlay.visible !== false) layer.addTo(map);
+      layersControl.addOverlay(layer, escapeHtml(overlay.name || overlay.id));
+      return layer;
+    });
+
+    edgeLabels = L.layerGroup().addTo(map);
+    measureLayer = L.layerGroup().addTo(map);
+    map.on("mousemove", updateMeasurePreview);
+    // Long-press on touch (right-click on desktop) multi-selects like shift-click
+    map.on("contextmenu", (e) => {
+      if (!alignmentMode && !measureMode) toggleParcelSelection(e.latlng);
+    });
+
     neighborProperties = L.geoJSON(null, { 
-      style: { color: "#ff3b30", weight: 2, fill: false, dashArray: "5, 5" },
+      // Transparent fill so the whole lot is clickable, not just its outline
+      style: { color: "#ff3b30", weight: 2, fill: true, fillOpacity: 0, dashArray: "5, 5" },
       onEachFeature: function(feature, layer) {
         const props = feature.properties || {};
         const appellation = getAppellation(props) || "Neighbor Property";
-        layer.bindTooltip(`<strong>${appellation}</strong><br><em>Neighbor</em>`, {
+        layer.bindTooltip(`<strong>${escapeHtml(appellation)}</strong><br><em>Neighbor - click to make subject</em>`, {
           permanent: false,
           direction: "top", 
           className: "neighbor-tooltip"
         });
+        layer.on("mouseover", () => renderInspector(feature, "Neighbor"));
+        layer.on("mouseout", () => renderInspector());
+        // Alignment, measure and shift-click multi-select still get the click via the map
+        layer.on("click", (e) => {
+          if (alignmentMode || measureMode || e.originalEvent.shiftKey) return;
+          L.DomEvent.stopPropagation(e);
+          promoteToSubject(feature);
+        });
       }
     });
     
@@ -1120,6 +2866,10 @@ function initializeMap() {
     map.on("click", (e) => {
       if (alignmentMode) {
         addAlignmentPoint(e.latlng);
+      } else if (measureMode) {
+        addMeasurePoint(e.latlng);
+      } else if (e.originalEvent.shiftKey && subjectFeature) {
+        toggleParcelSelection(e.latlng);
       } else {
         requestParcels(e.latlng.lng, e.latlng.lat, SEARCH_RADIUS_M);
       }
@@ -1145,6 +2895,35 @@ function autoStart() {
     return; // Exit if map initialization failed
   }
   
+  // Wire up button event handlers after map is ready - file import and the tools work without a LINZ key
+  exportBtn.addEventListener("click", toggleExportMenu);
+  exportMenu.addEventListener("click", handleExportMenuClick);
+  toolsBtn.addEventListener("click", toggleToolsMenu);
+  toolsMenu.addEventListener("click", handleToolsMenuClick);
+  offlineBtn.addEventListener("click", downloadAreaForOffline);
+  edgesBtn.addEventListener("click", toggleEdgeTable);
+  measureBtn.addEventListener("click", toggleMeasureMode);
+  measurePanel.addEventListener("click", handleMeasurePanelClick);
+  setbacksBtn.addEventListener("click", toggleSetbackPanel);
+  setbackPanel.addEventListener("change", handleSetbackChange);
+  inspectorBtn.addEventListener("click", toggleInspector);
+  inspectorPanel.addEventListener("click", handleInspectorClick);
+  historyBtn.addEventListener("click", toggleHistoryPanel);
+  historyPanel.addEventListener("input", handleHistoryInput);
+  historyPanel.addEventListener("change", handleHistoryChange);
+  historyPanel.addEventListener("click", handleHistoryClick);
+  historySwipe.addEventListener("pointerdown", startSwipeDrag);
+  importBtn.addEventListener("click", () => importInput.click());
+  importInput.addEventListener("change", handleImportInputChange);
+  shareBtn.addEventListener("click", shareLink);
+  document.addEventListener("dragover", handleFileDragOver);
+  document.addEventListener("dragleave", () => document.body.classList.remove("pv-file-drag"));
+  document.addEventListener("drop", handleFileDrop);
+  satelliteBtn.addEventListener("click", toggleMapLayers);
+  neighborsBtn.addEventListener("click", toggleNeighbors);
+  document.getElementById('ar-alignment').addEventListener("click", toggleARAlignment);
+  document.getElementById('ar-btn').addEventListener("click", openARView);
+  
   // Initialize LINZ integration after DOM and scripts are loaded
   console.log('Checking CoordinateProcessor availability:', typeof CoordinateProcessor);
   if (typeof CoordinateProcessor !== 'undefined') {
@@ -1162,19 +2941,11 @@ function autoStart() {
   googleGeoManager = new GoogleGeolocationManager(GOOGLE_KEY);
   console.log('Google Geolocation Manager initialized:', !!googleGeoManager);
   
-  // Wire up button event handlers after map is ready
-  exportBtn.addEventListener("click", exportKML);
-  satelliteBtn.addEventListener("click", toggleMapLayers);
-  neighborsBtn.addEventListener("click", toggleNeighbors);
-  document.getElementById('ar-alignment').addEventListener("click", toggleARAlignment);
-  document.getElementById('ar-btn').addEventListener("click", openARView);
-  
   // Enhanced search functionality with LocationIQ
   setupLocationIQSearch();
   
-  if (!Number.isNaN(initLat) && !Number.isNaN(initLng)) {
-    map.setView([initLat, initLng], initZ);
-    requestParcels(initLng, initLat, SEARCH_RADIUS_M);
+  if (initialLink) {
+    openDeepLink(initialLink);
     return;
   }
   
@@ -1293,16 +3064,29 @@ window.renderParcelsFromBase64 = function (b64) {
     renderAndCenter(json);
   } catch (e) {
     console.error(e);
+    pendingDeepLink = null;
     setTopText("Property: <strong>parse failed</strong>");
   }
 };
 
-// Receive address from iOS reverse geocoding bridge
-window.receiveAddress = function (address) {
+// Each request carries an id the iOS bridge echoes back with the address
+function requestSubjectAddress(latlng) {
+  addressRequestId += 1;
+  if (!window.webkit?.messageHandlers?.requestAddress) return;
+  window.webkit.messageHandlers.requestAddress.postMessage({
+    id: addressRequestId,
+    latitude: latlng.lat,
+    longitude: latlng.lng
+  });
+}
+
+// Receive address from iOS reverse geocoding bridge - a reply for an earlier subject is ignored
+window.receiveAddress = function (address, requestId) {
+  if (requestId !== addressRequestId) return;
   if (address && subjectFeature) {
-    const app = getAppellation(subjectFeature.properties);
-    const displayText = app ? `${app}` : "Property Found";
-    setTopText(`<strong>${displayText}</strong><br><small>${address}</small>`);
+    subjectAddress = address;
+    // Keep the title, zoning and hazard notes - the address is one more line of the status
+    showSubjectStatus();
   }
 };
 
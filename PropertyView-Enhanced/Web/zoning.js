@@ -0,0 +1,107 @@
+/**
+ * District Plan Zoning
+ * Picks the council zone layer for a point - by territorial authority name, else the smallest
+ * registry `bounds` containing it - and reads the zone containing the point through the
+ * boundary providers (WFS, ArcGIS feature layers, GeoJSON files or fixtures)
+ */
+
+class ZoningLookup {
+    constructor(options = {}) {
+        this.councils = options.councils || [];
+        this.defaults = options.defaults || {};                            // settings for every council, and the catch-all layer
+        this.territorialAuthorities = options.territorialAuthorities || null;  // TA boundary layer, optional
+        this.projector = options.projector;                                // CoordinateProcessor
+        this.providers = new Map();                                        // provider per council / TA layer
+    }
+
+    static councilKey(name) {
+        return String(name || '').toLowerCase().replace(/\b(council|district|city)\b/g, '').replace(/[^a-z]/g, '');
+    }
+
+    /**
+     * First non-empty attribute from keys, else any attribute whose name mentions "zone"
+     */
+    pickValue(props, keys = this.defaults.propertyKeys || []) {
+        if (!props) return null;
+        for (const k of keys) {
+            if (k in props && props[k] != null && String(props[k]).trim() !== '') return String(props[k]);
+        }
+        for (const key of Object.keys(props)) {
+            if (/zone/i.test(key) && props[key] != null && String(props[key]).trim() !== '') return String(props[key]);
+        }
+        return null;
+    }
+
+    // Polygon containing the point - the smallest wins where overlays overlap
+    featureAt(collection, latlng) {
+        if (!collection?.features?.length) return null;
+        const hit = this.projector.selectSubjectFeature(collection.features, latlng.lat, latlng.lng);
+        return hit.contained ? hit.feature : null;
+    }
+
+    // Polygons around a point in EPSG:4326; {key} in a layer url is filled from its apiKey
+    fetchPolygons(config, latlng, radiusM) {
+        const key = [config.name, config.url, config.typeName, config.where].join('|');
+        if (!this.providers.has(key)) {
+            const url = config.url && config.url.replace('{key}', config.apiKey);
+            this.providers.set(key, createBoundaryProvider(
+                { type: 'wfs', label: config.name || 'Zoning WFS', ...config, url }, null, this.projector));
+        }
+        const bbox = this.projector.calculateBoundingBox(latlng.lng, latlng.lat, radiusM);
+        return this.providers.get(key).fetchBoundaries(bbox);
+    }
+
+    // From the subject parcel's attributes, else the TA boundary layer when one is configured
+    async resolveTerritorialAuthority(latlng, props = {}) {
+        const named = props.territorial_authority || props.ta_name || props.TA_NAME;
+        if (named) return String(named);
+
+        const layer = this.territorialAuthorities;
+        if (!layer) return null;
+        if (layer.url && layer.url.includes('{key}') && !layer.apiKey) return null;
+
+        const ta = this.featureAt(await this.fetchPolygons(layer, latlng, 1), latlng);
+        return ta ? this.pickValue(ta.properties, layer.nameKeys || ['name', 'NAME']) : null;
+    }
+
+    /**
+     * Registry entry for the point merged over the defaults, else the catch-all layer, else null
+     */
+    findSource(latlng, territorialAuthority = null) {
+        const wanted = ZoningLookup.councilKey(territorialAuthority);
+        const byName = territorialAuthority && this.councils.find(c => ZoningLookup.councilKey(c.name) === wanted);
+        const byBounds = this.councils
+            .filter(c => c.bounds && latlng.lng >= c.bounds[0] && latlng.lat >= c.bounds[1] &&
+                latlng.lng <= c.bounds[2] && latlng.lat <= c.bounds[3])
+            .sort((a, b) => (a.bounds[2] - a.bounds[0]) * (a.bounds[3] - a.bounds[1]) -
+                (b.bounds[2] - b.bounds[0]) * (b.bounds[3] - b.bounds[1]))[0];
+        const council = byName || byBounds;
+
+        if (council) return { ...this.defaults, ...council };
+        if (this.defaults.url && this.defaults.typeName) return this.defaults;
+        return null;
+    }
+
+    /**
+     * Zone polygons around the point, each tagged with zone_name, and the zone containing it
+     * Resolves to null when no council or catch-all layer covers the point
+     */
+    async lookup(latlng, props = {}) {
+        let territorialAuthority = null;
+        try {
+            territorialAuthority = await this.resolveTerritorialAuthority(latlng, props);
+        } catch (error) {
+            console.warn('Territorial authority lookup failed:', error);
+        }
+
+        const source = this.findSource(latlng, territorialAuthority);
+        if (!source) return null;
+
+        const collection = await this.fetchPolygons(source, latlng, source.searchRadiusM || 60);
+        collection.features.forEach(f => {
+            f.properties = { ...f.properties, zone_name: this.pickValue(f.properties, source.propertyKeys) };
+        });
+        const zone = this.featureAt(collection, latlng);
+        return { source, territorialAuthority, collection, zone, zoneName: zone?.properties.zone_name || null };
+    }
+}
@@ -96,7 +96,7 @@ struct WebMapView: UIViewRepresentable {
                 if let params = message.body as? [String: Any],
                    let lat = params["latitude"] as? Double,
                    let lng = params["longitude"] as? Double {
-                    reverseGeocodeAddress(latitude: lat, longitude: lng)
+                    reverseGeocodeAddress(latitude: lat, longitude: lng, requestId: params["id"] as? Int)
                 }
             default:
                 break
@@ -202,8 +202,9 @@ struct WebMapView: UIViewRepresentable {
             top.present(vc, animated: true)
         }
 
-        // Reverse geocode address and send back to JavaScript
-        private func reverseGeocodeAddress(latitude: Double, longitude: Double) {
+        // Reverse geocode address and send back to JavaScript, echoing the request id so the page
+        // can drop a reply that arrives after another parcel was selected
+        private func reverseGeocodeAddress(latitude: Double, longitude: Double, requestId: Int?) {
             let location = CLLocation(latitude: latitude, longitude: longitude)
             let geocoder = CLGeocoder()
             
@@ -242,7 +243,8 @@ struct WebMapView: UIViewRepresentable {
                     // Send address back to JavaScript
                     if !address.isEmpty {
                         let escapedAddress = address.replacingOccurrences(of: "'", with: "\\'")
-                        let js = "window.receiveAddress('\(escapedAddress)');"
+                        let idArgument = requestId.map { String($0) } ?? "null"
+                        let js = "window.receiveAddress('\(escapedAddress)', \(idArgument));"
                         self.webView?.evaluateJavaScript(js) { _, error in
                             if let error = error {
                                 print("JavaScript execution error:", error.localizedDescription)